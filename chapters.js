@@ -0,0 +1,85 @@
+const path = require("path");
+const { runCommand, toChoice, toNumber } = require("./lib/cli");
+const { logWithTimestamp, probe, setDryRun } = require("./lib/ffmpeg");
+const {
+  CHAPTER_SOURCES,
+  DEFAULT_SILENCE_DURATION,
+  DEFAULT_SILENCE_NOISE,
+  MIN_CHAPTER_LENGTH,
+  buildChapters,
+  embedChapters,
+  findChapterStarts,
+  formatChapterTime,
+  writeChapterList,
+  writeChapterMetadata
+} = require("./lib/chapters");
+const { OUTPUT_OPTIONS, claimOutput, logOutput, makeTempDir, outputName, removeTempDir } = require("./lib/output");
+
+const OUTPUT_SUFFIX = "_chapters.txt";
+
+// Main processing function; resolves to the chapter list [{ start, end, title }]
+async function chapters(input, options = {}) {
+  setDryRun(options.dryRun);
+  const outputFile = claimOutput(options.output || outputName(input, OUTPUT_SUFFIX), options.force);
+  const embedFile = options.embed ? claimOutput(options.embed, options.force) : null;
+
+  logWithTimestamp(`Processing: ${input}`);
+  const videoInfo = await probe(input);
+  const duration = videoInfo.videoDuration || videoInfo.duration;
+
+  const starts = await findChapterStarts(input, options);
+  const list = buildChapters(starts, duration, options.minLength);
+  logWithTimestamp(`Found ${starts.length} boundaries, ${list.length} chapters:\n${list.map(chapter => `  ${formatChapterTime(chapter.start)} ${chapter.title}`).join("\n")}`);
+
+  await writeChapterList(list, outputFile);
+  logOutput("Chapter list", outputFile);
+
+  if (embedFile) {
+    const tempDir = await makeTempDir("sfh-chapters-");
+    try {
+      const metadataFile = path.join(tempDir, "chapters.txt");
+      await writeChapterMetadata(list, metadataFile);
+      await embedChapters(input, metadataFile, embedFile);
+    } finally {
+      await removeTempDir(tempDir);
+    }
+    logOutput("Video with chapters", embedFile);
+  }
+  return list;
+}
+
+const command = {
+  name: "chapters",
+  summary: "Derive chapter markers from page turns, silences or a labels file",
+  usage: "<input> [options]",
+  minPositionals: 1,
+  options: {
+    from: { type: "string", short: "f", placeholder: "source", description: `Where chapters start: ${CHAPTER_SOURCES.join(", ")}`, default: "pages" },
+    labels: { type: "string", short: "l", placeholder: "file", description: "Chapter titles and times from an SRT, WebVTT or JSON marks file (overrides --from)" },
+    "min-length": { type: "string", placeholder: "seconds", description: "Shortest chapter; closer boundaries are merged", default: MIN_CHAPTER_LENGTH },
+    noise: { type: "string", placeholder: "dB", description: "Level below which audio counts as silence (--from silence)", default: DEFAULT_SILENCE_NOISE },
+    silence: { type: "string", placeholder: "seconds", description: "Shortest silence that starts a new chapter (--from silence)", default: DEFAULT_SILENCE_DURATION },
+    embed: { type: "string", short: "e", placeholder: "file", description: "Also write a copy of the input with the chapters embedded" },
+    output: { type: "string", short: "o", placeholder: "file", description: `Timestamp list for a video description (default: <input name>${OUTPUT_SUFFIX})` },
+    ...OUTPUT_OPTIONS
+  },
+  async run(values, positionals) {
+    await chapters(positionals[0], {
+      from: toChoice(values.from, 'from', CHAPTER_SOURCES),
+      labels: values.labels,
+      minLength: toNumber(values["min-length"], 'min-length', { min: 0 }),
+      noise: toNumber(values.noise, 'noise'),
+      minSilence: toNumber(values.silence, 'silence', { min: 0.1 }),
+      embed: values.embed,
+      output: values.output,
+      force: values.force,
+      dryRun: values["dry-run"]
+    });
+  }
+};
+
+module.exports = { chapters, command };
+
+if (require.main === module) {
+  runCommand(command, process.argv.slice(2), "node chapters.js");
+}
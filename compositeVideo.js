@@ -1,115 +1,96 @@
-const { exec } = require("child_process");
-const util = require("util");
 const fs = require("fs");
 const path = require("path");
+const { runCommand, toNumber } = require("./lib/cli");
+const { logWithTimestamp, runFfmpeg } = require("./lib/ffmpeg");
+const { OUTPUT_OPTIONS, claimOutput } = require("./lib/output");
 
-// Promisify exec and fs functions
-const execPromise = util.promisify(exec);
-
-// Get input directory from command line arguments
-const inputDir = process.argv[2];
 const OUTPUT_DURATION = 480; // Changed from 60 to 5 seconds for testing
 
-// Validate input
-if (!inputDir) {
-    console.error("Usage: node compositeVideo.js <directory_path>");
-    process.exit(1);
-}
+async function createCompositeVideo(videoFiles, outputFile, outputDuration) {
+    await fs.promises.mkdir(path.dirname(outputFile), { recursive: true });
 
-// Helper function for logging with timestamps
-function logWithTimestamp(message) {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] ${message}`);
-}
+    const inputParams = videoFiles.flatMap(file => ['-i', file]);
 
-// Helper function for executing commands
-async function safeExec(command, stepDescription) {
-    try {
-        logWithTimestamp(`Starting: ${stepDescription}`);
-        const { stdout, stderr } = await execPromise(command);
-        logWithTimestamp(`Completed: ${stepDescription}`);
-        return stdout;
-    } catch (error) {
-        console.error(`Failed during: ${stepDescription}\nCommand: ${command}\nError: ${error.message}`);
-        process.exit(1);
-    }
-}
-
-async function createCompositeVideo(videoFiles) {
-    const outputDir = path.join(inputDir, 'composite');
-    const outputFile = path.join(outputDir, 'composite_output.mp4');
+    // Process first video
+    let filterComplex = `[0:v]trim=0:${outputDuration},setpts=PTS-STARTPTS,scale=1920:1080:force_original_aspect_ratio=decrease,pad=1920:1080:(ow-iw)/2:(oh-ih)/2,colorlevels=rimax=0.902:gimax=0.902:bimax=0.902[v0];`;
     
-    try {
-        await fs.promises.mkdir(outputDir, { recursive: true });
-
-        const inputParams = videoFiles
-            .map(file => `-i "${file}"`)
-            .join(' ');
-
-        // Process first video
-        let filterComplex = `[0:v]trim=0:${OUTPUT_DURATION},setpts=PTS-STARTPTS,scale=1920:1080:force_original_aspect_ratio=decrease,pad=1920:1080:(ow-iw)/2:(oh-ih)/2,colorlevels=rimax=0.902:gimax=0.902:bimax=0.902[v0];`;
+    // Process remaining videos and chain them together
+    for (let i = 1; i < videoFiles.length; i++) {
+        filterComplex += `[${i}:v]trim=0:${outputDuration},setpts=PTS-STARTPTS,scale=1920:1080:force_original_aspect_ratio=decrease,pad=1920:1080:(ow-iw)/2:(oh-ih)/2,colorlevels=rimax=0.902:gimax=0.902:bimax=0.902[v${i}];`;
         
-        // Process remaining videos and chain them together
-        for (let i = 1; i < videoFiles.length; i++) {
-            filterComplex += `[${i}:v]trim=0:${OUTPUT_DURATION},setpts=PTS-STARTPTS,scale=1920:1080:force_original_aspect_ratio=decrease,pad=1920:1080:(ow-iw)/2:(oh-ih)/2,colorlevels=rimax=0.902:gimax=0.902:bimax=0.902[v${i}];`;
-            
-            if (i === 1) {
-                filterComplex += `[v0][v1]blend=all_mode=darken:all_opacity=1[blend1];`;
-            } else {
-                filterComplex += `[blend${i-1}][v${i}]blend=all_mode=darken:all_opacity=1[blend${i}];`;
-            }
+        if (i === 1) {
+            filterComplex += `[v0][v1]blend=all_mode=darken:all_opacity=1[blend1];`;
+        } else {
+            filterComplex += `[blend${i-1}][v${i}]blend=all_mode=darken:all_opacity=1[blend${i}];`;
         }
+    }
 
-        // Process all audio streams
-        const audioMix = videoFiles.map((_, i) => {
-            return `[${i}:a]atrim=0:${OUTPUT_DURATION},asetpts=PTS-STARTPTS,volume=${1/videoFiles.length}[a${i}];`;
-        }).join('');
-
-        const audioMixInputs = videoFiles
-            .map((_, i) => `[a${i}]`)
-            .join('');
-
-        filterComplex += `${audioMix}${audioMixInputs}amix=inputs=${videoFiles.length}:dropout_transition=0[aout]`;
+    // Process all audio streams
+    const audioMix = videoFiles.map((_, i) => {
+        return `[${i}:a]atrim=0:${outputDuration},asetpts=PTS-STARTPTS,volume=${1/videoFiles.length}[a${i}];`;
+    }).join('');
+
+    const audioMixInputs = videoFiles
+        .map((_, i) => `[a${i}]`)
+        .join('');
+
+    filterComplex += `${audioMix}${audioMixInputs}amix=inputs=${videoFiles.length}:dropout_transition=0[aout]`;
+
+    const args = [
+        ...inputParams,
+        '-filter_complex', filterComplex,
+        '-map', `[blend${videoFiles.length-1}]`, '-map', '[aout]',
+        '-c:v', 'libx264', '-preset', 'ultrafast', '-pix_fmt', 'yuv420p',
+        '-c:a', 'aac', '-strict', 'experimental',
+        '-t', outputDuration,
+        '-y', outputFile
+    ];
+
+    await runFfmpeg(args, "Creating composite video");
+    logWithTimestamp(`Composite video saved to: ${outputFile}`);
+}
 
-        const command = `ffmpeg ${inputParams} `
-            + `-filter_complex "${filterComplex}" `
-            + `-map "[blend${videoFiles.length-1}]" -map "[aout]" `
-            + `-c:v libx264 -preset ultrafast -pix_fmt yuv420p `
-            + `-c:a aac -strict experimental `
-            + `-t ${OUTPUT_DURATION} `
-            + `-y "${outputFile}"`;
+// Main processing function; resolves to the output path
+async function compositeVideos(inputDir, options = {}) {
+    const outputFile = claimOutput(options.output || path.join(inputDir, 'composite', 'composite_output.mp4'), options.force);
+    const outputDuration = options.duration || OUTPUT_DURATION;
 
-        await safeExec(command, "Creating composite video");
-        logWithTimestamp(`Composite video saved to: ${outputFile}`);
+    const files = await fs.promises.readdir(inputDir);
+    const videoFiles = files
+        .filter(file => path.extname(file).toLowerCase() === '.mp4')
+        .map(file => path.join(inputDir, file));
 
-    } catch (error) {
-        console.error("Error creating composite video:", error);
-        process.exit(1);
+    if (videoFiles.length === 0) {
+        throw new Error(`No MP4 files found in ${inputDir}`);
     }
+
+    logWithTimestamp(`Processing ${videoFiles.length} MP4 files`);
+    await createCompositeVideo(videoFiles, outputFile, outputDuration);
+    logWithTimestamp("Composite video created successfully!");
+    return outputFile;
 }
 
-// Main processing function
-async function processVideos() {
-    try {
-        const files = await fs.promises.readdir(inputDir);
-        const videoFiles = files
-            .filter(file => path.extname(file).toLowerCase() === '.mp4')
-            .map(file => path.join(inputDir, file));
-
-        if (videoFiles.length === 0) {
-            console.error("No MP4 files found in the specified directory");
-            process.exit(1);
-        }
+const command = {
+    name: "composite",
+    summary: "Blend every MP4 in a directory into one layered video",
+    usage: "<directory> [options]",
+    minPositionals: 1,
+    options: {
+        duration: { type: "string", short: "d", placeholder: "seconds", description: "Length of the composite", default: OUTPUT_DURATION },
+        output: { type: "string", short: "o", placeholder: "file", description: "Output file (default: <directory>/composite/composite_output.mp4)" },
+        force: OUTPUT_OPTIONS.force
+    },
+    async run(values, positionals) {
+        await compositeVideos(positionals[0], {
+            duration: toNumber(values.duration, 'duration', { min: 0 }),
+            output: values.output,
+            force: values.force
+        });
+    }
+};
 
-        logWithTimestamp(`Processing ${videoFiles.length} MP4 files`);
-        await createCompositeVideo(videoFiles);
-        logWithTimestamp("Composite video created successfully!");
+module.exports = { command, compositeVideos };
 
-    } catch (error) {
-        console.error("Error during processing:", error);
-        process.exit(1);
-    }
+if (require.main === module) {
+    runCommand(command, process.argv.slice(2), "node compositeVideo.js");
 }
-
-// Run the main function
-processVideos();
\ No newline at end of file
@@ -1,202 +1,447 @@
-const { exec, spawn } = require("child_process");
-const fs = require("fs");
-const util = require("util");
-
-// Promisify exec and fs functions
-const execPromise = util.promisify(exec);
-const writeFile = util.promisify(fs.writeFile);
-const unlink = util.promisify(fs.unlink);
-
-// Constants for file paths
-const OUTPUT_4K_FMS = "outros/fms_outro_30fps_44100ar_4k.mp4";
-const OUTPUT_1080P_FMS = "outros/fms_outro_30fps_44100ar.mp4";
-const OUTPUT_4K_SCORE = "outros/scorefol.io_outro_30fps_44100ar_4k.mp4";
-const OUTPUT_1080P_SCORE = "outros/scorefol.io_outro_30fps_44100ar.mp4";
-const OUTPUT_4K_SITES = "outros/sites_outro_30fps_44100ar_4k.mp4";
-const OUTPUT_1080P_SITES = "outros/sites_outro_30fps_44100ar.mp4";
+const path = require("path");
+const { UsageError, runCommand, toChoice, toNumber } = require("./lib/cli");
+const { batchable } = require("./lib/batch");
+const { isDryRun, logWithTimestamp, probe, runFfmpeg, runFfmpegWithProgress, setDryRun } = require("./lib/ffmpeg");
+const { OUTPUT_OPTIONS, claimOutput, companionName, logOutput, makeTempDir, outputName, removeTempDir, writeOutputFile } = require("./lib/output");
+const { findOutro, loadRegistry, validateOutro } = require("./lib/outros");
+const { matchAudioToVideo } = require("./lib/audioSync");
+const { DEFAULT_CARD_DURATION, renderTitleCard } = require("./lib/titleCard");
+const { CAPTION_MODES, loadCaptions, retimeCaptions, subtitleCodec, subtitlesFilter, writeSrt } = require("./lib/captions");
+const { CHAPTER_SOURCES, MIN_CHAPTER_LENGTH, buildChapters, findChapterStarts, labelChapters, writeChapterList, writeChapterMetadata } = require("./lib/chapters");
+const { DEFAULT_TRUE_PEAK, logLoudness, loudnormFilter, measureLoudness, parseLoudnessTarget } = require("./lib/loudness");
+
+// Names of the intermediate files, which go in a temporary directory for each run
 const TEMP_VIDEO = "inputsf_30fps.mp4";
 const TEMP_VIDEO_WITH_SILENCE = "inputsf_30fps_with_silence.mp4";
+const TEMP_OUTRO = "inputsf_outro_conformed.mp4";
+const TEMP_INTRO = "inputsf_intro_conformed.mp4";
+const TEMP_JOINED = "inputsf_joined.mp4";
+const TEMP_CAPTIONS = "inputsf_captions.srt";
+const TEMP_CHAPTERS = "inputsf_chapters.txt";
 const VID_LIST_FILE = "vidList.txt";
+// Written next to the output when --chapters is given
+const CHAPTER_LIST_SUFFIX = "_chapters.txt";
 
-// Input arguments
-const inputVideo = process.argv[2];
-const videoType = process.argv[3]; // 'F' for FMS, 'H' for Highlight, 'S' for Sites
+// Output frame rate; the outros are animated at 30fps
+const DEFAULT_FPS = 30;
+// Which clip the other one is conformed to
+const CONFORM_MODES = ["outro", "main"];
+// Pixel formats libx264 can encode; anything else is converted to yuv420p
+const X264_PIX_FMTS = ["yuv420p", "yuv422p", "yuv444p"];
+// Shared timescale so both clips end up with the same video time base
+const VIDEO_TIMESCALE = 90000;
+// xfade transitions offered by --transition ('none' keeps the hard cut)
+const TRANSITIONS = ["none", "fade", "fadeblack", "fadewhite", "dissolve", "wipeleft", "wiperight", "slideleft", "slideright", "smoothleft", "smoothright", "circleopen", "circleclose"];
+const DEFAULT_TRANSITION_DURATION = 1;
 
-// Validate input arguments
-if (!inputVideo || !videoType || !["F", "H", "S"].includes(videoType)) {
-  console.error("Usage: node script.js <inputVideo> <videoType ('F', 'H', or 'S')>");
-  process.exit(1);
+// Function to get the outro variant closest to the main video's size (portrait included)
+function getOutroFile(videoInfo, outro) {
+  const longSide = Math.max(videoInfo.width, videoInfo.height);
+  return longSide > 2560 ? outro.path4k : outro.path1080p;
 }
 
-// Helper function for logging with timestamps
-function logWithTimestamp(message) {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${message}`);
+// Helper to round a dimension up to the even number libx264 requires
+function toEven(value) {
+  return Math.ceil(value / 2) * 2;
 }
 
-// Helper function for executing FFmpeg commands
-async function safeExec(command, stepDescription) {
-  try {
-    logWithTimestamp(`Starting: ${stepDescription}`);
-    await execPromise(command);
-    logWithTimestamp(`Completed: ${stepDescription}`);
-  } catch (error) {
-    console.error(`Failed during: ${stepDescription}\nCommand: ${command}\nError: ${error.message}`);
-    process.exit(1);
-  }
+// Function to work out the geometry and audio format every clip is conformed to.
+// outroInfo is null when no outro is appended.
+function getTargetFormat(mainInfo, outroInfo, conform, fps) {
+  const reference = conform === "main" && outroInfo ? outroInfo : mainInfo;
+  const audioReference = reference.hasAudio ? reference : (outroInfo || reference);
+  const channels = audioReference.channels || 2;
+
+  return {
+    width: toEven(reference.width),
+    height: toEven(reference.height),
+    sar: reference.sar || 1,
+    pixFmt: X264_PIX_FMTS.includes(reference.pixFmt) ? reference.pixFmt : "yuv420p",
+    fps: reference === outroInfo && outroInfo.fps ? outroInfo.fps : fps,
+    sampleRate: audioReference.sampleRate || 44100,
+    channelLayout: audioReference.channelLayout || (channels === 1 ? "mono" : "stereo")
+  };
 }
 
-// Function to get video width
-async function getVideoWidth(video) {
-  const { stdout } = await execPromise(
-    `ffprobe -v error -select_streams v:0 -show_entries stream=width -of csv=s=x:p=0 ${video}`
-  );
-  return stdout.trim();
+// Helper building the filter chain that letterboxes a clip into the target frame.
+// Sizes are computed in display pixels so non-square SAR sources keep their shape.
+function conformVideoFilter(target) {
+  const displayWidth = Math.round(target.width * target.sar);
+  return [
+    `scale=${displayWidth}:${target.height}:force_original_aspect_ratio=decrease`,
+    `scale=trunc(iw/${target.sar}/2)*2:trunc(ih/2)*2`,
+    `pad=${target.width}:${target.height}:(ow-iw)/2:(oh-ih)/2`,
+    `setsar=${target.sar}`,
+    `fps=${target.fps}`,
+    `format=${target.pixFmt}`
+  ].join(",");
 }
 
-// Function to get the correct outro file based on resolution and video type
-function getOutroFile(resWidth, videoType) {
-  const is4k = resWidth === "3840";
-  const files = {
-    F: is4k ? OUTPUT_4K_FMS : OUTPUT_1080P_FMS,
-    H: is4k ? OUTPUT_4K_SCORE : OUTPUT_1080P_SCORE,
-    S: is4k ? OUTPUT_4K_SITES : OUTPUT_1080P_SITES
-  };
-  
-  const selectedFile = files[videoType];
-  
-  // Check if outro file exists
-  if (videoType === 'S' && !fs.existsSync(selectedFile)) {
-    console.error(`\nError: Sites outro file not found: ${selectedFile}`);
-    console.error("Please run makeOutros.js first to generate the outro files.\n");
-    process.exit(1);
-  }
-  
-  return selectedFile;
+// Helper building the filter that resamples a clip's audio to the target format,
+// normalizing its loudness first when a measurement is given
+function conformAudioFilter(target, loudness) {
+  const normalize = loudness ? `${loudnormFilter(loudness.measured, loudness)},` : "";
+  return `${normalize}aresample=${target.sampleRate},aformat=sample_rates=${target.sampleRate}:channel_layouts=${target.channelLayout}`;
 }
 
-// Function to increase framerate to 30 fps
-async function increaseFramerate(input) {
-  const cmdArgs = ['-y', '-i', input, '-r', '30', '-vcodec', 'libx264', '-acodec', 'aac', TEMP_VIDEO, '-progress', 'pipe:1', '-nostats'];
+// Encoder settings shared by both clips so the concat demuxer can stream-copy them
+function encoderArgs(target) {
+  return [
+    '-c:v', 'libx264', '-pix_fmt', target.pixFmt, '-video_track_timescale', VIDEO_TIMESCALE,
+    '-c:a', 'aac', '-ar', target.sampleRate
+  ];
+}
 
-  logWithTimestamp("Starting framerate conversion to 30 fps...");
+// Function to look up the requested outro and make sure its files are usable
+async function selectOutro(name, registryFile) {
+  const registry = loadRegistry(registryFile);
+  const outro = findOutro(registry, name);
+  if (!outro) {
+    throw new UsageError(`Unknown outro '${name}' (registered: ${registry.outros.map(entry => entry.name).join(", ")})`);
+  }
 
-  // Get video duration first
-  let duration = 0;
-  try {
-    const { stdout } = await execPromise(`ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 ${input}`);
-    duration = parseFloat(stdout.trim());
-  } catch (e) {
-    logWithTimestamp("Could not determine video duration for progress bar.");
+  logWithTimestamp(`Validating outro '${outro.name}'...`);
+  const problems = await validateOutro(outro);
+  if (problems.length > 0) {
+    throw new Error(`Outro '${outro.name}' is not usable:\n  ${problems.join("\n  ")}\nRun 'sfh outros make' to regenerate it or fix ${registry.file}.`);
   }
+  return outro;
+}
 
-  return new Promise((resolve, reject) => {
-    const ffmpeg = spawn('ffmpeg', cmdArgs);
-    let time = 0;
+// Function to measure a clip's loudness when --loudness is given.
+// Resolves to null for silent clips, which are left as they are.
+async function measureClip(clipFile, clipInfo, loudness, label) {
+  if (!loudness || !clipInfo.hasAudio) return null;
+  const measured = await measureLoudness(clipFile, loudness);
+  logLoudness(`${label} loudness`, measured);
+  if (!Number.isFinite(measured.integrated)) {
+    logWithTimestamp(`${label} audio is silent; skipping loudness normalization`);
+    return null;
+  }
+  return { ...loudness, measured };
+}
 
-    ffmpeg.stdout.on('data', (data) => {
-      handleProgressData(data);
-    });
-    ffmpeg.stderr.on('data', (data) => {
-      // FFmpeg may output progress to stdout only, but just in case 
-      handleProgressData(data);
-    });
+// Function to conform the main video to the target format (frame rate, size, pixel format),
+// writing outputFile; captionsFile, when given, is burned into the picture
+async function conformMainVideo(input, videoInfo, target, loudness, captionsFile, outputFile) {
+  if (!videoInfo.duration) {
+    logWithTimestamp("Could not determine video duration for progress bar.");
+  }
 
-    function handleProgressData(data) {
-      const lines = data.toString().split('\n');
-      for (const line of lines) {
-        if (line.startsWith('out_time_ms=')) {
-          time = parseFloat(line.split('=')[1]) / 1000000;
-        }
-      }
-      if (duration > 0 && time > 0) {
-        const progress = Math.min(100, Math.round((time / duration) * 100));
-        process.stdout.write(`\rProgress: [${'='.repeat(Math.floor(progress/2))}${' '.repeat(50-Math.floor(progress/2))}] ${progress}%`);
-      }
-    }
+  const audioArgs = videoInfo.hasAudio ? ['-af', conformAudioFilter(target, loudness)] : [];
+  await runFfmpegWithProgress(
+    ['-y', '-i', input, '-vf', conformVideoFilter(target) + (captionsFile ? `,${subtitlesFilter(captionsFile)}` : ""), ...audioArgs, ...encoderArgs(target), outputFile],
+    videoInfo.duration,
+    `Conforming score video to ${target.width}x${target.height} at ${target.fps} fps`
+  );
+}
 
-    ffmpeg.on('close', (code) => {
-      process.stdout.write('\n');
-      if (code === 0) {
-        logWithTimestamp("Framerate conversion completed");
-        resolve();
-      } else {
-        reject(new Error(`FFmpeg process exited with code ${code}`));
-      }
-    });
-  });
+// Function to conform an intro or outro clip to the target format (silent clips get a silent track)
+async function conformClip(clipFile, clipInfo, target, outputFile, label, loudness) {
+  const audioArgs = clipInfo.hasAudio
+    ? ['-af', conformAudioFilter(target, loudness)]
+    : ['-f', 'lavfi', '-i', `anullsrc=r=${target.sampleRate}:cl=${target.channelLayout}`, '-map', '0:v', '-map', '1:a', '-shortest'];
+  await runFfmpeg(
+    ['-y', '-i', clipFile, ...audioArgs, '-vf', conformVideoFilter(target), ...encoderArgs(target), outputFile],
+    `Conforming ${label} to ${target.width}x${target.height} at ${target.fps} fps`
+  );
 }
 
-// Function to add silence to match video duration
-async function addSilenceToMatchDuration() {
-  const cmd = `
-    VIDEO_DURATION=$(ffprobe -v error -show_entries stream=duration -of default=noprint_wrappers=1:nokey=1 -select_streams v:0 ${TEMP_VIDEO}) &&
-    AUDIO_DURATION=$(ffprobe -v error -show_entries stream=duration -of default=noprint_wrappers=1:nokey=1 -select_streams a:0 ${TEMP_VIDEO}) &&
-    DIFFERENCE=$(echo "$VIDEO_DURATION - $AUDIO_DURATION" | bc) &&
-    ffmpeg -y -i ${TEMP_VIDEO} -filter_complex "[0:a]apad=whole_len=$(echo "($VIDEO_DURATION*44100)/1" | bc)[aout]" -map 0:v -map "[aout]" -vcodec copy -acodec aac ${TEMP_VIDEO_WITH_SILENCE}
-  `;
-  await safeExec(cmd, "Adding silence to match video duration");
+// Function to add silence (or trim, or generate a silent track) so audio matches video duration
+async function addSilenceToMatchDuration(target, inputFile, outputFile) {
+  await matchAudioToVideo(inputFile, outputFile, {
+    sampleRate: target.sampleRate,
+    channelLayout: target.channelLayout,
+    extraArgs: ['-video_track_timescale', VIDEO_TIMESCALE]
+  });
 }
 
 // Function to generate vidList.txt dynamically
-async function generateVidList(outroFile) {
-  const vidListContent = `file '${TEMP_VIDEO_WITH_SILENCE}'\nfile '${outroFile}'`;
+async function generateVidList(clips, listFile) {
+  const vidListContent = clips.map(clip => `file '${clip.replace(/'/g, "'\\''")}'`).join("\n");
   logWithTimestamp("Generating vidList.txt dynamically...");
   logWithTimestamp(`vidList.txt content:\n${vidListContent}`);
-  await writeFile(VID_LIST_FILE, vidListContent);
+  await writeOutputFile(listFile, vidListContent);
 }
 
-// Function to concatenate the video with outro
-async function concatenateVideo(videoType) {
-  const outputFileNames = {
-    F: "_fms.mp4",
-    H: "_scorefolioHighlight.mp4",
-    S: "_sites.mp4"
-  };
-  const outputFileName = outputFileNames[videoType];
-  await safeExec(
-    `ffmpeg -y -f concat -safe 0 -i ${VID_LIST_FILE} -c copy ${outputFileName}`,
-    "Concatenating video with outro"
+// Function to concatenate the clips (intro, video, outro) with the concat demuxer
+async function concatenateVideo(listFile, outputFileName) {
+  await runFfmpeg(
+    ['-y', '-f', 'concat', '-safe', '0', '-i', listFile, '-c', 'copy', outputFileName],
+    "Concatenating clips"
   );
 }
 
-// Function to clean up temporary files
-async function cleanup(files) {
-  for (const file of files) {
-    try {
-      await unlink(file);
-      logWithTimestamp(`Deleted temporary file: ${file}`);
-    } catch (error) {
-      console.error(`Error deleting file: ${file}`, error);
+// Function to join the clips with xfade/acrossfade transitions.
+// The score video's audio is already padded to its video length, so each
+// audio crossfade starts at the same point as its video transition.
+async function transitionVideo(clips, outputFileName, transition, duration, target) {
+  const durations = [];
+  for (const clip of clips) {
+    const info = await probe(clip);
+    const clipDuration = info.videoDuration || info.duration;
+    if (duration >= clipDuration) {
+      throw new Error(`Transition of ${duration}s is longer than ${clip} (${clipDuration}s)`);
     }
+    durations.push(clipDuration);
+  }
+
+  const filters = clips.map((_, i) => `[${i}:v]settb=AVTB[v${i}]`);
+  let videoLabel = "v0";
+  let audioLabel = "0:a";
+  let joinedLength = durations[0];
+  for (let i = 1; i < clips.length; i++) {
+    const offset = (joinedLength - duration).toFixed(3);
+    filters.push(`[${videoLabel}][v${i}]xfade=transition=${transition}:duration=${duration}:offset=${offset}[x${i}]`);
+    filters.push(`[${audioLabel}][${i}:a]acrossfade=d=${duration}[a${i}]`);
+    videoLabel = `x${i}`;
+    audioLabel = `a${i}`;
+    joinedLength += durations[i] - duration;
+  }
+
+  await runFfmpeg(
+    ['-y', ...clips.flatMap(clip => ['-i', clip]),
+      '-filter_complex', filters.join(";"), '-map', `[${videoLabel}]`, '-map', `[${audioLabel}]`,
+      ...encoderArgs(target), outputFileName],
+    `Joining ${clips.length} clips with ${duration}s ${transition} transitions`
+  );
+}
+
+// Function to find where each clip starts in the joined video (transitions overlap them)
+async function getClipStarts(clips, overlap) {
+  const starts = [];
+  let position = 0;
+  for (const clip of clips) {
+    starts.push(position);
+    const info = await probe(clip);
+    position += (info.videoDuration || info.duration) - overlap;
+  }
+  return { starts, duration: position + overlap };
+}
+
+// Function to lay the score video's chapters out on the joined timeline: an intro chapter
+// when the intro is long enough to hold one, the score's own chapters, then the outro.
+// labels are the starts read from a labels file, if one was given instead of a source.
+async function planChapters(inputVideo, source, labels, layout, options) {
+  const starts = labels || await findChapterStarts(inputVideo, { from: source });
+  const chapterStarts = [];
+  if (layout.mainStart >= MIN_CHAPTER_LENGTH) {
+    chapterStarts.push({ time: 0, title: options.title || "Intro" });
+  }
+  for (const start of starts) {
+    if (start.time < layout.mainDuration) chapterStarts.push({ time: start.time + layout.mainStart, title: start.title });
+  }
+  if (layout.outroStart !== null) {
+    chapterStarts.push({ time: layout.outroStart, title: "Outro" });
+  }
+  return buildChapters(chapterStarts, layout.duration);
+}
+
+// Function to copy the joined video into the output, adding a soft caption track and/or
+// chapter metadata
+async function addTracks(joinedFile, outputFile, captionsFile, chaptersFile) {
+  const inputs = ['-i', joinedFile];
+  const mapArgs = ['-map', '0'];
+  const codecArgs = ['-c', 'copy'];
+  if (captionsFile) {
+    mapArgs.push('-map', `${inputs.length / 2}:s`);
+    codecArgs.push('-c:s', subtitleCodec(outputFile), '-metadata:s:s:0', 'title=Captions');
+    inputs.push('-i', captionsFile);
+  }
+  if (chaptersFile) {
+    mapArgs.push('-map_chapters', `${inputs.length / 2}`);
+    inputs.push('-i', chaptersFile);
   }
+  await runFfmpeg(
+    ['-y', ...inputs, ...mapArgs, ...codecArgs, outputFile],
+    `Adding ${[captionsFile && "captions track", chaptersFile && "chapter markers"].filter(Boolean).join(" and ")}`
+  );
 }
 
-// Main processing function
-async function processVideo() {
+// Main processing function; resolves to the output path
+async function concatOutro(inputVideo, options = {}) {
+  const hasTitleCard = Boolean(options.title || options.composer || options.performer);
+  if (!options.outro && !options.intro && !hasTitleCard) {
+    throw new UsageError("Nothing to add: give --outro, --intro or a title card (--title/--composer/--performer)");
+  }
+  if (options.intro && hasTitleCard) {
+    throw new UsageError("Use either --intro or a title card, not both");
+  }
+
+  setDryRun(options.dryRun);
+  const outro = options.outro ? await selectOutro(options.outro, options.registry) : null;
+  // The chapter list is named after the video it belongs to, so the two are claimed together
+  const companions = options.chapters ? [CHAPTER_LIST_SUFFIX] : [];
+  const outputFile = claimOutput(options.output || outputName(inputVideo, `${outro ? outro.suffix : "_intro"}.mp4`), options.force, companions);
+  const conform = options.conform || "outro";
+  const transition = options.transition || "none";
+  const transitionDuration = options.transitionDuration || DEFAULT_TRANSITION_DURATION;
+  const captionsMode = options.captionsMode || "burn";
+  const captions = options.captions ? loadCaptions(options.captions) : null;
+  if (captions && captionsMode === "soft") subtitleCodec(outputFile);
+  const chapterLabels = options.chapters && !CHAPTER_SOURCES.includes(options.chapters) ? labelChapters(options.chapters) : null;
+  const chapterListFile = companionName(outputFile, CHAPTER_LIST_SUFFIX);
+  const loudness = options.loudness !== undefined
+    ? { target: options.loudness, truePeak: options.truePeak !== undefined ? options.truePeak : DEFAULT_TRUE_PEAK }
+    : null;
+
+  const videoInfo = await probe(inputVideo);
+  logWithTimestamp(`Score video: ${videoInfo.width}x${videoInfo.height} (SAR ${videoInfo.sar}), ${videoInfo.fps} fps, ${videoInfo.pixFmt}, audio: ${videoInfo.hasAudio ? `${videoInfo.sampleRate} Hz ${videoInfo.channelLayout || `${videoInfo.channels}ch`}` : "none"}`);
+
+  let outroFile = null;
+  let outroInfo = null;
+  if (outro) {
+    outroFile = getOutroFile(videoInfo, outro);
+    outroInfo = await probe(outroFile);
+    logWithTimestamp(`Using ${outroInfo.width}x${outroInfo.height} ending sequence: ${outroFile}`);
+  }
+
+  const target = getTargetFormat(videoInfo, outroInfo, conform, options.fps || DEFAULT_FPS);
+  logWithTimestamp(`Conforming ${conform === "main" && outro ? "all clips to the outro" : "all clips to the score video"}: ${target.width}x${target.height}, SAR ${target.sar}, ${target.fps} fps, ${target.pixFmt}, ${target.sampleRate} Hz ${target.channelLayout}`);
+
+  const tempDir = await makeTempDir("sfh-concat-");
+  const temp = name => path.join(tempDir, name);
+  const clips = [];
   try {
-    const resWidth = await getVideoWidth(inputVideo);
-    logWithTimestamp(`Width Resolution: ${resWidth}`);
+    if (options.intro) {
+      const introInfo = await probe(options.intro);
+      const introLoudness = await measureClip(options.intro, introInfo, loudness, "Intro");
+      await conformClip(options.intro, introInfo, target, temp(TEMP_INTRO), "intro", introLoudness);
+      clips.push(temp(TEMP_INTRO));
+    } else if (hasTitleCard) {
+      await renderTitleCard(temp(TEMP_INTRO), target, {
+        title: options.title,
+        composer: options.composer,
+        performer: options.performer,
+        background: options.background,
+        textColor: options.textColor,
+        font: options.font,
+        duration: options.introDuration
+      }, encoderArgs(target));
+      clips.push(temp(TEMP_INTRO));
+    }
 
-    const outroFile = getOutroFile(resWidth, videoType);
+    // Burned captions go onto the score video itself, so they keep its timing
+    const mainDuration = videoInfo.videoDuration || videoInfo.duration;
+    if (captions && captionsMode === "burn") {
+      await writeSrt(retimeCaptions(captions, t => t, mainDuration), temp(TEMP_CAPTIONS));
+    }
+    await conformMainVideo(inputVideo, videoInfo, target, await measureClip(inputVideo, videoInfo, loudness, "Score video"),
+      captions && captionsMode === "burn" ? temp(TEMP_CAPTIONS) : null, temp(TEMP_VIDEO));
+    await addSilenceToMatchDuration(target, temp(TEMP_VIDEO), temp(TEMP_VIDEO_WITH_SILENCE));
+    clips.push(temp(TEMP_VIDEO_WITH_SILENCE));
 
-    if (resWidth === "3840") {
-      logWithTimestamp("Using 4k ending sequence...");
+    if (outro) {
+      await conformClip(outroFile, outroInfo, target, temp(TEMP_OUTRO), "outro", await measureClip(outroFile, outroInfo, loudness, "Outro"));
+      clips.push(temp(TEMP_OUTRO));
+    }
+
+    // A soft caption track and chapters are added after joining, shifted past the intro
+    const softCaptions = captions && captionsMode === "soft";
+    const joinedFile = softCaptions || options.chapters ? temp(TEMP_JOINED) : outputFile;
+    if (transition === "none") {
+      await generateVidList(clips, temp(VID_LIST_FILE));
+      await concatenateVideo(temp(VID_LIST_FILE), joinedFile);
     } else {
-      logWithTimestamp("Using 1080p ending sequence...");
+      await transitionVideo(clips, joinedFile, transition, transitionDuration, target);
     }
 
-    await increaseFramerate(inputVideo);
-    await addSilenceToMatchDuration();
-    await generateVidList(outroFile);
-    await concatenateVideo(videoType);
-    await cleanup([TEMP_VIDEO, TEMP_VIDEO_WITH_SILENCE, VID_LIST_FILE]);
+    if (joinedFile === temp(TEMP_JOINED)) {
+      const overlap = transition === "none" ? 0 : transitionDuration;
+      const { starts, duration } = await getClipStarts(clips, overlap);
+      const mainIndex = clips.indexOf(temp(TEMP_VIDEO_WITH_SILENCE));
+      const offset = starts[mainIndex];
 
-    logWithTimestamp("Processing complete.");
-  } catch (error) {
-    console.error("Error during processing:", error);
+      if (softCaptions) {
+        logWithTimestamp(`Shifting captions by ${offset.toFixed(3)}s`);
+        await writeSrt(retimeCaptions(captions, t => t + offset, offset + mainDuration), temp(TEMP_CAPTIONS));
+      }
+      if (options.chapters) {
+        const chapters = await planChapters(inputVideo, options.chapters, chapterLabels, {
+          mainStart: offset,
+          mainDuration,
+          outroStart: outro ? starts[starts.length - 1] : null,
+          duration
+        }, options);
+        await writeChapterMetadata(chapters, temp(TEMP_CHAPTERS));
+        await writeChapterList(chapters, chapterListFile);
+        logOutput(`Chapter list (${chapters.length} chapters)`, chapterListFile);
+      }
+      await addTracks(temp(TEMP_JOINED), outputFile, softCaptions ? temp(TEMP_CAPTIONS) : null, options.chapters ? temp(TEMP_CHAPTERS) : null);
+    }
+  } finally {
+    await removeTempDir(tempDir);
   }
+
+  if (loudness && !isDryRun()) {
+    logLoudness(`Output loudness (target ${loudness.target} LUFS)`, await measureLoudness(outputFile, loudness));
+  }
+
+  logWithTimestamp("Processing complete.");
+  logOutput("Output", outputFile);
+  return outputFile;
 }
 
-// Run the main function
-processVideo();
+const command = batchable({
+  name: "concat",
+  summary: "Append an ending sequence (outro) and/or prepend an intro or title card to a score video",
+  usage: "<input> [options]",
+  minPositionals: 1,
+  options: {
+    outro: { type: "string", short: "t", placeholder: "name", description: "Registered ending sequence to append (see 'sfh outros list')" },
+    registry: { type: "string", placeholder: "file", description: "Outro registry file (default: outros/outros.json)" },
+    conform: { type: "string", placeholder: "clip", description: "Clip whose geometry is changed: 'outro' (match the score video) or 'main' (match the outro)", default: "outro" },
+    fps: { type: "string", placeholder: "rate", description: "Output frame rate when conforming the outro", default: DEFAULT_FPS },
+    transition: { type: "string", placeholder: "type", description: `Transition between intro, score video and outro: ${TRANSITIONS.join(", ")}`, default: "none" },
+    "transition-duration": { type: "string", placeholder: "seconds", description: "Length of the video and audio crossfade", default: DEFAULT_TRANSITION_DURATION },
+    intro: { type: "string", short: "i", placeholder: "file", description: "Intro or bumper clip placed before the score video" },
+    title: { type: "string", placeholder: "text", description: "Piece title for a generated title card" },
+    composer: { type: "string", placeholder: "text", description: "Composer line for the title card" },
+    performer: { type: "string", placeholder: "text", description: "Performer line for the title card" },
+    background: { type: "string", placeholder: "color|image", description: "Title card background color or image file", default: "black" },
+    "text-color": { type: "string", placeholder: "color", description: "Title card text color", default: "white" },
+    font: { type: "string", placeholder: "file", description: "Font file for the title card text" },
+    "intro-duration": { type: "string", placeholder: "seconds", description: "Title card length", default: DEFAULT_CARD_DURATION },
+    captions: { type: "string", placeholder: "file", description: "Captions for the score video: an SRT, WebVTT or JSON marks file" },
+    "captions-mode": { type: "string", placeholder: "mode", description: "'burn' captions into the picture or mux them as a 'soft' subtitle track", default: "burn" },
+    chapters: { type: "string", placeholder: "source", description: `Add chapter markers from ${CHAPTER_SOURCES.join(" or ")}, or a labels file (SRT, WebVTT or JSON marks); also writes <output name>_chapters.txt` },
+    loudness: { type: "string", placeholder: "LUFS", description: "Normalize every clip to this loudness: social (-14), web (-16), broadcast (-23) or a number" },
+    "true-peak": { type: "string", placeholder: "dBTP", description: "Maximum true peak when normalizing loudness", default: DEFAULT_TRUE_PEAK },
+    output: { type: "string", short: "o", placeholder: "file", description: "Output file (default: <input name> with the outro's suffix, e.g. piece_fms.mp4)" },
+    ...OUTPUT_OPTIONS
+  },
+  async run(values, positionals) {
+    // A second positional is the legacy F/H/S video type
+    const outro = values.outro || positionals[1];
+    await concatOutro(positionals[0], {
+      outro,
+      intro: values.intro,
+      title: values.title,
+      composer: values.composer,
+      performer: values.performer,
+      background: values.background,
+      textColor: values["text-color"],
+      font: values.font,
+      introDuration: toNumber(values["intro-duration"], 'intro-duration', { min: 1.5 }),
+      registry: values.registry,
+      conform: toChoice(values.conform, 'conform', CONFORM_MODES),
+      fps: toNumber(values.fps, 'fps', { min: 1 }),
+      transition: toChoice(values.transition, 'transition', TRANSITIONS),
+      transitionDuration: toNumber(values["transition-duration"], 'transition-duration', { min: 0.04 }),
+      captions: values.captions,
+      captionsMode: toChoice(values["captions-mode"], 'captions-mode', CAPTION_MODES),
+      chapters: values.chapters,
+      loudness: parseLoudnessTarget(values.loudness, 'loudness'),
+      truePeak: toNumber(values["true-peak"], 'true-peak'),
+      output: values.output,
+      force: values.force,
+      dryRun: values["dry-run"]
+    });
+  }
+});
+
+module.exports = { command, concatOutro };
+
+if (require.main === module) {
+  runCommand(command, process.argv.slice(2), "node concat.js");
+}
@@ -1,96 +1,65 @@
-const { exec } = require("child_process");
-const util = require("util");
 const fs = require("fs");
 const path = require("path");
-
-// Promisify exec and fs functions
-const execPromise = util.promisify(exec);
-
-// Get input directory from command line arguments
-const inputDir = process.argv[2];
-
-// Validate input
-if (!inputDir) {
-    console.error("Usage: node extractAudio.js <directory_path>");
-    process.exit(1);
-}
-
-// Helper function for logging with timestamps
-function logWithTimestamp(message) {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] ${message}`);
-}
-
-// Helper function for executing commands
-async function safeExec(command, stepDescription) {
-    try {
-        logWithTimestamp(`Starting: ${stepDescription}`);
-        const { stdout, stderr } = await execPromise(command);
-        logWithTimestamp(`Completed: ${stepDescription}`);
-        return stdout;
-    } catch (error) {
-        console.error(`Failed during: ${stepDescription}\nCommand: ${command}\nError: ${error.message}`);
-        process.exit(1);
-    }
-}
+const { runCommand } = require("./lib/cli");
+const { logWithTimestamp, runFfmpeg, setDryRun } = require("./lib/ffmpeg");
+const { OUTPUT_OPTIONS, logOutput, prepareOutputDir } = require("./lib/output");
 
 async function extractAudio(inputVideo, outputDir) {
     const baseName = path.basename(inputVideo, path.extname(inputVideo));
     const outputFile = path.join(outputDir, `${baseName}.mp3`);
     
-    try {
-        // Extract audio using high quality settings
-        await safeExec(
-            `ffmpeg -i "${inputVideo}" -vn -acodec libmp3lame -q:a 0 "${outputFile}"`,
-            `Extracting audio from ${inputVideo}`
-        );
-
-    } catch (error) {
-        console.error("Error processing video:", error);
-        process.exit(1);
-    }
+    // Extract audio using high quality settings
+    await runFfmpeg(
+        ['-i', inputVideo, '-vn', '-acodec', 'libmp3lame', '-q:a', '0', outputFile],
+        `Extracting audio from ${inputVideo}`
+    );
+    return outputFile;
 }
 
-// Main processing function
-async function processVideos() {
-    const outputDir = path.join(inputDir, 'audios');
-
-    try {
-        // Get all MP4 files in the input directory
-        const files = await fs.promises.readdir(inputDir);
-        const videoFiles = files.filter(file => path.extname(file).toLowerCase() === '.mp4');
+// Main processing function; resolves to the output directory
+async function extractAudios(inputDir, options = {}) {
+    setDryRun(options.dryRun);
 
-        if (videoFiles.length === 0) {
-            console.error("No MP4 files found in the specified directory");
-            process.exit(1);
-        }
+    // Get all MP4 files in the input directory
+    const files = await fs.promises.readdir(inputDir);
+    const videoFiles = files.filter(file => path.extname(file).toLowerCase() === '.mp4');
 
-        // Delete existing audios directory if it exists
-        if (fs.existsSync(outputDir)) {
-            logWithTimestamp("Removing existing audios directory");
-            await fs.promises.rm(outputDir, { recursive: true, force: true });
-        }
+    if (videoFiles.length === 0) {
+        throw new Error(`No MP4 files found in ${inputDir}`);
+    }
 
-        // Create fresh output directory
-        logWithTimestamp("Creating new audios directory");
-        await fs.promises.mkdir(outputDir, { recursive: true });
+    // A fresh output directory; an existing one is only replaced with --force
+    const outputDir = await prepareOutputDir(options.output || path.join(inputDir, 'audios'), options.force);
 
-        // Process each video
-        for (const video of videoFiles) {
-            const videoPath = path.join(inputDir, video);
-            logWithTimestamp(`Processing video: ${video}`);
-            await extractAudio(videoPath, outputDir);
-            logWithTimestamp(`Finished processing: ${video}`);
-        }
+    // Process each video
+    for (const video of videoFiles) {
+        const videoPath = path.join(inputDir, video);
+        logWithTimestamp(`Processing video: ${video}`);
+        await extractAudio(videoPath, outputDir);
+        logWithTimestamp(`Finished processing: ${video}`);
+    }
 
-        logWithTimestamp("All videos processed successfully!");
-        logWithTimestamp(`Audio files saved in ${outputDir} directory`);
+    logWithTimestamp("All videos processed successfully!");
+    logOutput("Audio files", outputDir);
+    return outputDir;
+}
 
-    } catch (error) {
-        console.error("Error during processing:", error);
-        process.exit(1);
+const command = {
+    name: "audio extract",
+    summary: "Extract an MP3 from every MP4 in a directory",
+    usage: "<directory> [options]",
+    minPositionals: 1,
+    options: {
+        output: { type: "string", short: "o", placeholder: "dir", description: "Output directory (default: <directory>/audios)" },
+        ...OUTPUT_OPTIONS
+    },
+    async run(values, positionals) {
+        await extractAudios(positionals[0], { output: values.output, force: values.force, dryRun: values["dry-run"] });
     }
-}
+};
 
-// Run the main function
-processVideos();
\ No newline at end of file
+module.exports = { command, extractAudio, extractAudios };
+
+if (require.main === module) {
+    runCommand(command, process.argv.slice(2), "node extractAudio.js");
+}
@@ -1,71 +1,205 @@
-const { exec } = require("child_process");
-const util = require("util");
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
+const { runCommand, toChoice, toNumber, UsageError } = require("./lib/cli");
+const { batchable } = require("./lib/batch");
+const { isDryRun, logWithTimestamp, probe, setDryRun } = require("./lib/ffmpeg");
+const { OUTPUT_OPTIONS, companionName, logOutput, outputName, prepareOutputDir, writeOutputFile } = require("./lib/output");
+const { DEFAULT_MIN_DWELL, checkAnimation, detectPages, extractPageImage } = require("./lib/pages");
 
-const execPromise = util.promisify(exec);
-const inputVideo = process.argv[2];
+const OUTPUT_SUFFIX = '_stills';
+const IMAGE_FORMATS = ['png', 'jpeg', 'webp'];
+const IMAGE_EXTENSIONS = { png: '.png', jpeg: '.jpg', webp: '.webp' };
+const DEFAULT_QUALITY = 90;
+// The manifest is written next to the output directory, as <dir>.json and/or <dir>.csv
+const MANIFEST_FORMATS = ['json', 'csv', 'both', 'none'];
+const MANIFEST_SUFFIXES = { json: ['.json'], csv: ['.csv'], both: ['.json', '.csv'], none: [] };
+const MANIFEST_COLUMNS = ['file', 'page', 'start', 'end', 'duration', 'width', 'height', 'bytes', 'hash', 'sha256'];
 
-// Validate input
-if (!inputVideo) {
-    console.error("Usage: node extractStills.js <video>");
-    process.exit(1);
+// Limits for --max-size: smallest width and lowest JPEG/WebP quality tried, and attempts per page
+const MIN_WIDTH = 320;
+const MIN_QUALITY = 30;
+const MAX_SIZE_ATTEMPTS = 8;
+
+// Helper building the ffmpeg output options for an image encoding { format, quality, width }
+function imageArgs(encoding) {
+    const args = encoding.width ? ['-vf', `scale=${encoding.width}:-2:flags=lanczos`] : [];
+    if (encoding.format === 'jpeg') {
+        // -q:v runs from 2 (best) to 31 (worst)
+        args.push('-q:v', Math.round(2 + (100 - encoding.quality) * 29 / 100));
+    } else if (encoding.format === 'webp') {
+        args.push('-c:v', 'libwebp', '-quality', encoding.quality);
+    } else {
+        args.push('-compression_level', 9);
+    }
+    return args;
 }
 
-// Helper function for logging with timestamps
-function logWithTimestamp(message) {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] ${message}`);
+// Helper returning a smaller encoding for the next --max-size attempt (lower width and,
+// for JPEG/WebP, quality), or null when nothing can be lowered any further
+function shrinkEncoding(encoding, ratio) {
+    const next = { ...encoding };
+    // File size grows roughly with the pixel count, so scale the width by the square root
+    const factor = Math.min(0.9, Math.max(0.5, Math.sqrt(ratio) * 0.95));
+    next.width = Math.max(MIN_WIDTH, Math.floor(encoding.width * factor / 2) * 2);
+    if (encoding.format !== 'png') {
+        next.quality = Math.max(MIN_QUALITY, encoding.quality - 10);
+    }
+    const changed = next.width !== encoding.width || next.quality !== encoding.quality;
+    return changed ? next : null;
 }
 
-// Helper function for executing commands
-async function safeExec(command, stepDescription) {
-    try {
-        logWithTimestamp(`Starting: ${stepDescription}`);
-        const { stdout, stderr } = await execPromise(command);
-        logWithTimestamp(`Completed: ${stepDescription}`);
-        return stdout;
-    } catch (error) {
-        console.error(`Failed during: ${stepDescription}\nCommand: ${command}\nError: ${error.message}`);
-        process.exit(1);
+// Function to save page number of total, lowering the width and quality until the file is
+// at most maxBytes (when given). Resolves to the file size (null in a dry run).
+async function savePageImage(inputVideo, page, number, total, file, encoding, maxBytes) {
+    let current = encoding;
+    for (let attempt = 1; attempt <= MAX_SIZE_ATTEMPTS; attempt++) {
+        const retry = attempt > 1 ? ` (attempt ${attempt}, ${current.width}px)` : "";
+        await extractPageImage(inputVideo, page, file, imageArgs(current), `Saving page ${number} of ${total}${retry}`);
+        if (isDryRun()) return null;
+        const { size } = await fs.promises.stat(file);
+        if (!maxBytes || size <= maxBytes) return size;
+
+        logWithTimestamp(`${path.basename(file)}: ${(size / 1e3).toFixed(0)} KB is over ${(maxBytes / 1e3).toFixed(0)} KB`);
+        const next = shrinkEncoding(current, maxBytes / size);
+        if (!next) break;
+        current = next;
     }
+    throw new Error(`Could not get ${file} under ${(maxBytes / 1e3).toFixed(0)} KB; try a smaller --width or --format jpeg`);
 }
 
-async function extractStills(inputVideo) {
-    const outputDir = '_stills';
-    
-    try {
-        // Delete existing _stills directory if it exists
-        if (fs.existsSync(outputDir)) {
-            logWithTimestamp("Removing existing _stills directory");
-            await fs.promises.rm(outputDir, { recursive: true, force: true });
+// Helper to quote a CSV field when it needs it
+function csvField(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Function to write the manifest entries as JSON and/or CSV next to the output directory.
+// Resolves to the files written (or, in a dry run, that would be).
+async function writeManifest(entries, inputVideo, outputDir, format) {
+    const files = [];
+    for (const suffix of MANIFEST_SUFFIXES[format]) {
+        const file = companionName(outputDir, suffix);
+        if (suffix === '.json') {
+            const manifest = { source: path.basename(inputVideo), pages: entries };
+            await writeOutputFile(file, JSON.stringify(manifest, null, 2) + "\n");
+        } else {
+            const lines = [MANIFEST_COLUMNS.join(","), ...entries.map(entry => MANIFEST_COLUMNS.map(column => csvField(entry[column])).join(","))];
+            await writeOutputFile(file, lines.join("\n") + "\n");
         }
+        files.push(file);
+    }
+    return files;
+}
 
-        // Create fresh output directory
-        logWithTimestamp("Creating new _stills directory");
-        await fs.promises.mkdir(outputDir, { recursive: true });
+// Function to extract one image of each page of a video into a fresh output directory.
+// Resolves to { outputDir, entries }: the directory used and the manifest entries, each
+// file with its page's timing, size and hashes.
+async function extractUniqueFrames(inputVideo, options) {
+    // Find the pages first so an animated video is refused before anything is written
+    const result = await detectPages(inputVideo, { minDwell: options.minDwell });
+    checkAnimation(result, inputVideo, options.allowAnimation);
 
-        // Extract unique frames using scene detection
-        await safeExec(
-            `ffmpeg -i "${inputVideo}" -vf "select='if(eq(n,0),1,gt(scene,0.15))'" -vsync vfr "${outputDir}/_stills_%d.png"`,
-            `Extracting unique frames from ${inputVideo}`
-        );
+    // The manifest is claimed with the directory, so both get the same -2, -3, ... version
+    const manifestSuffixes = MANIFEST_SUFFIXES[options.manifest || 'json'];
+    const outputDir = await prepareOutputDir(options.output || outputName(inputVideo, OUTPUT_SUFFIX), options.force, manifestSuffixes);
 
-        logWithTimestamp("Successfully extracted still frames");
+    const encoding = { format: options.format, quality: options.quality, width: options.width };
+    if (options.maxBytes && !encoding.width) {
+        // Shrinking needs a starting width
+        encoding.width = (await probe(inputVideo)).width;
+    }
 
-    } catch (error) {
-        console.error("Error processing video:", error);
-        process.exit(1);
+    const entries = [];
+    const total = result.pages.length;
+    logWithTimestamp(`Saving ${total} page ${total === 1 ? "image" : "images"}`);
+    for (let i = 0; i < total; i++) {
+        const page = result.pages[i];
+        const file = path.join(outputDir, `_stills_${i + 1}${IMAGE_EXTENSIONS[options.format]}`);
+        const bytes = await savePageImage(inputVideo, page, i + 1, total, file, encoding, options.maxBytes);
+        const entry = {
+            file: path.basename(file),
+            page: i + 1,
+            start: Number(page.start.toFixed(3)),
+            end: Number(page.end.toFixed(3)),
+            duration: Number((page.end - page.start).toFixed(3))
+        };
+        // A dry run has no image to measure
+        if (!isDryRun()) {
+            const { width, height } = await probe(file);
+            Object.assign(entry, {
+                width,
+                height,
+                bytes,
+                hash: page.hash,
+                sha256: crypto.createHash("sha256").update(await fs.promises.readFile(file)).digest("hex")
+            });
+        }
+        entries.push(entry);
     }
+
+    logWithTimestamp(`Successfully extracted ${entries.length} still frames`);
+    return { outputDir, entries };
 }
 
-// Main processing function
-async function processVideo() {
+// Main processing function; resolves to the output directory
+async function extractStills(inputVideo, options = {}) {
+    setDryRun(options.dryRun);
+    const settings = {
+        ...options,
+        format: options.format || 'png',
+        quality: options.quality || DEFAULT_QUALITY
+    };
     logWithTimestamp(`Processing video: ${inputVideo}`);
-    await extractStills(inputVideo);
+    const { outputDir, entries } = await extractUniqueFrames(inputVideo, settings);
+
+    const manifestFiles = await writeManifest(entries, inputVideo, outputDir, options.manifest || 'json');
+    for (const file of manifestFiles) {
+        logOutput("Manifest", file);
+    }
+
     logWithTimestamp(`Finished processing: ${inputVideo}`);
-    logWithTimestamp("Frames saved in _stills directory");
+    logOutput("Frames", outputDir);
+    return outputDir;
 }
 
-// Run the main function
-processVideo();
+const command = batchable({
+    name: "stills",
+    summary: "Extract each still page of a score video as an image, with a timing manifest",
+    usage: "<input> [options]",
+    minPositionals: 1,
+    options: {
+        format: { type: "string", short: "f", placeholder: "format", description: `Image format: ${IMAGE_FORMATS.join(", ")}`, default: "png" },
+        quality: { type: "string", short: "q", placeholder: "1-100", description: "JPEG/WebP quality", default: DEFAULT_QUALITY },
+        width: { type: "string", short: "w", placeholder: "pixels", description: "Scale the images to this width (default: the video's)" },
+        "max-size": { type: "string", short: "s", placeholder: "KB", description: "Lower the width (and JPEG/WebP quality) until each image fits" },
+        manifest: { type: "string", short: "m", placeholder: "format", description: `Manifest written next to the output directory: ${MANIFEST_FORMATS.join(", ")}`, default: "json" },
+        "min-dwell": { type: "string", placeholder: "seconds", description: "How long the picture must hold still to count as a page", default: DEFAULT_MIN_DWELL },
+        "allow-animation": { type: "boolean", description: "Extract the still stretches of an animated video instead of stopping" },
+        output: { type: "string", short: "o", placeholder: "dir", description: `Output directory (default: <input name>${OUTPUT_SUFFIX})` },
+        ...OUTPUT_OPTIONS
+    },
+    async run(values, positionals) {
+        const quality = toNumber(values.quality, 'quality', { min: 1, integer: true });
+        if (quality > 100) throw new UsageError(`--quality must be at most 100 (got "${values.quality}")`);
+        const maxSize = toNumber(values["max-size"], 'max-size', { min: 1 });
+        await extractStills(positionals[0], {
+            format: toChoice(values.format, 'format', IMAGE_FORMATS),
+            quality,
+            width: toNumber(values.width, 'width', { min: 16, integer: true }),
+            maxBytes: maxSize !== undefined ? maxSize * 1e3 : undefined,
+            manifest: toChoice(values.manifest, 'manifest', MANIFEST_FORMATS),
+            minDwell: toNumber(values["min-dwell"], 'min-dwell', { min: 0.25 }),
+            allowAnimation: values["allow-animation"],
+            output: values.output,
+            force: values.force,
+            dryRun: values["dry-run"]
+        });
+    }
+});
+
+module.exports = { command, extractStills };
+
+if (require.main === module) {
+    runCommand(command, process.argv.slice(2), "node extractStills.js");
+}
@@ -1,82 +1,101 @@
-const { exec } = require("child_process");
-const util = require("util");
+const { runCommand, toChoice, toNumber, toSeconds, UsageError } = require("./lib/cli");
+const { batchable } = require("./lib/batch");
+const { logWithTimestamp, probe, runFfmpeg, setDryRun } = require("./lib/ffmpeg");
+const { FADE_CURVES, audioFadeFilters, videoFadeFilters } = require("./lib/fades");
+const { OUTPUT_OPTIONS, claimOutput, logOutput, outputName } = require("./lib/output");
 
-// Promisify exec function
-const execPromise = util.promisify(exec);
+const OUTPUT_SUFFIX = "_faded.mp4";
 
-// Input arguments
-const inputVideo = process.argv[2];
-const fadeDuration = process.argv[3]; // Duration in seconds
+// Function to apply the fades; video is stream-copied unless the picture fades too
+async function addFades(inputVideo, fades, outputVideo) {
+  const { duration } = await probe(inputVideo);
+  const region = { ...fades, end: fades.end !== undefined ? fades.end : duration };
+  if (region.end > duration || region.start >= region.end) {
+    throw new UsageError(`Fade region ${region.start}s-${region.end}s does not fit the ${duration}s video`);
+  }
+  if (fades.fadeIn + fades.fadeOut > region.end - region.start) {
+    throw new UsageError(`Fades of ${fades.fadeIn}s and ${fades.fadeOut}s are longer than the ${(region.end - region.start).toFixed(3)}s region`);
+  }
 
-// Validate input arguments
-if (!inputVideo || !fadeDuration) {
-  console.error("Usage: node fadeout.js <inputVideo> <fadeDurationInSeconds>");
-  process.exit(1);
-}
+  logWithTimestamp(`Video duration: ${duration}s, fade region: ${region.start}s-${region.end}s`);
 
-// Validate fade duration is a positive number
-if (isNaN(fadeDuration) || parseFloat(fadeDuration) <= 0) {
-  console.error("Error: fadeDuration must be a positive number");
-  process.exit(1);
-}
+  const videoArgs = fades.video
+    ? ['-vf', videoFadeFilters(duration, region).join(","), '-c:v', 'libx264', '-pix_fmt', 'yuv420p']
+    : ['-c:v', 'copy'];
+  const args = ['-y', '-i', inputVideo, '-af', audioFadeFilters(duration, region).join(","), ...videoArgs, outputVideo];
 
-// Helper function for logging with timestamps
-function logWithTimestamp(message) {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${message}`);
+  const parts = [fades.fadeIn > 0 && `${fades.fadeIn}-second fade-in`, fades.fadeOut > 0 && `${fades.fadeOut}-second fade-out`].filter(Boolean);
+  await runFfmpeg(args, `Adding ${parts.join(" and ")} to ${fades.video ? `audio and video (${fades.color})` : "audio"}`);
+
+  logOutput("Faded video", outputVideo);
 }
 
-// Helper function for executing FFmpeg commands
-async function safeExec(command, stepDescription) {
-  try {
-    logWithTimestamp(`Starting: ${stepDescription}`);
-    await execPromise(command);
-    logWithTimestamp(`Completed: ${stepDescription}`);
-  } catch (error) {
-    console.error(`Failed during: ${stepDescription}\nCommand: ${command}\nError: ${error.message}`);
-    process.exit(1);
+// Main processing function; resolves to the output path
+async function fadeOut(inputVideo, options = {}) {
+  const fades = {
+    fadeIn: options.fadeIn || 0,
+    fadeOut: options.duration || 0,
+    start: options.start || 0,
+    end: options.end,
+    curve: options.curve || "tri",
+    video: Boolean(options.video || options.color),
+    color: options.color || "black"
+  };
+
+  // Validate there is something to fade
+  if (!(fades.fadeIn > 0) && !(fades.fadeOut > 0)) {
+    throw new UsageError("fade duration must be a positive number");
   }
-}
 
-// Function to get video duration
-async function getVideoDuration(video) {
-  const { stdout } = await execPromise(
-    `ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${video}"`
-  );
-  return parseFloat(stdout.trim());
-}
+  setDryRun(options.dryRun);
+  const outputVideo = claimOutput(options.output || outputName(inputVideo, OUTPUT_SUFFIX), options.force);
+
+  logWithTimestamp(`Processing video: ${inputVideo}`);
+  logWithTimestamp(`Fade in: ${fades.fadeIn} seconds, fade out: ${fades.fadeOut} seconds, curve: ${fades.curve}`);
+
+  await addFades(inputVideo, fades, outputVideo);
 
-// Function to add fade-out effect
-async function addFadeOut(inputVideo, fadeDuration) {
-  const duration = await getVideoDuration(inputVideo);
-  const fadeStartTime = duration - parseFloat(fadeDuration);
-  
-  // Always use 'faded.mp4' as output filename
-  const outputVideo = "_faded.mp4";
-  
-  logWithTimestamp(`Video duration: ${duration}s, Audio fade start time: ${fadeStartTime}s`);
-  
-  const cmd = `ffmpeg -y -i "${inputVideo}" -af "afade=t=out:st=${fadeStartTime}:d=${fadeDuration}" -c:v copy "${outputVideo}"`;
-  
-  await safeExec(cmd, `Adding ${fadeDuration}-second audio fade-out to video`);
-  
-  logWithTimestamp(`Audio fade-out video saved as: ${outputVideo}`);
+  logWithTimestamp("Fade processing complete.");
+  return outputVideo;
 }
 
-// Main processing function
-async function processVideo() {
-  try {
-    logWithTimestamp(`Processing video: ${inputVideo}`);
-    logWithTimestamp(`Fade duration: ${fadeDuration} seconds`);
-    
-    await addFadeOut(inputVideo, fadeDuration);
-    
-    logWithTimestamp("Fade-out processing complete.");
-  } catch (error) {
-    console.error("Error during processing:", error);
-    process.exit(1);
+const command = batchable({
+  name: "fadeout",
+  summary: "Fade audio (and optionally video) out at the end of a video, in at the start, or around a region",
+  usage: "<input> [options]",
+  minPositionals: 1,
+  options: {
+    duration: { type: "string", short: "d", placeholder: "seconds", description: "Fade-out duration in seconds" },
+    "fade-in": { type: "string", short: "i", placeholder: "seconds", description: "Fade-in duration in seconds" },
+    start: { type: "string", placeholder: "time", description: "Where the fade-in starts (seconds or mm:ss)" },
+    end: { type: "string", placeholder: "time", description: "Where the fade-out ends (seconds or mm:ss; default: end of video)" },
+    curve: { type: "string", short: "c", placeholder: "shape", description: `Audio fade curve: ${FADE_CURVES.join(", ")}`, default: "tri" },
+    video: { type: "boolean", short: "v", description: "Fade the picture too (re-encodes the video)" },
+    color: { type: "string", placeholder: "color", description: "Color the picture fades from and to; implies --video (default: black)" },
+    output: { type: "string", short: "o", placeholder: "file", description: `Output file (default: <input name>${OUTPUT_SUFFIX})` },
+    ...OUTPUT_OPTIONS
+  },
+  async run(values, positionals) {
+    // A second positional is the legacy fade duration
+    const duration = values.duration !== undefined ? values.duration : positionals[1];
+    if (duration === undefined && values["fade-in"] === undefined) throw new UsageError("--duration or --fade-in is required");
+    await fadeOut(positionals[0], {
+      duration: toNumber(duration, 'duration', { min: 0 }),
+      fadeIn: toNumber(values["fade-in"], 'fade-in', { min: 0 }),
+      start: toSeconds(values.start, 'start', { min: 0 }),
+      end: toSeconds(values.end, 'end', { min: 0 }),
+      curve: toChoice(values.curve, 'curve', FADE_CURVES),
+      video: values.video,
+      color: values.color,
+      output: values.output,
+      force: values.force,
+      dryRun: values["dry-run"]
+    });
   }
-}
+});
+
+module.exports = { command, fadeOut };
 
-// Run the main function
-processVideo();
+if (require.main === module) {
+  runCommand(command, process.argv.slice(2), "node fadeout.js");
+}
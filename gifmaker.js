@@ -1,98 +1,269 @@
-const { exec } = require("child_process");
-const util = require("util");
 const fs = require("fs");
 const path = require("path");
+const { UsageError, runCommand, toChoice, toNumber } = require("./lib/cli");
+const { batchable } = require("./lib/batch");
+const { isDryRun, logWithTimestamp, runFfmpeg, setDryRun } = require("./lib/ffmpeg");
+const { OUTPUT_OPTIONS, claimOutput, logOutput, makeTempDir, outputName, removeTempDir } = require("./lib/output");
+const { DEFAULT_MIN_DWELL, checkAnimation, detectPages, extractPageImages } = require("./lib/pages");
+const { CAPTION_MODES, loadCaptions, retimeCaptions, subtitleCodec, subtitlesFilter, writeSrt } = require("./lib/captions");
 
-// Promisify exec and fs functions
-const execPromise = util.promisify(exec);
-const writeFile = util.promisify(fs.writeFile);
-const unlink = util.promisify(fs.unlink);
-
-// Get input arguments
-const inputVideo = process.argv[2];
-const frameRate = process.argv[3] || 2;  // default to 2fps (0.5s per frame)
-const outputFormat = (process.argv[4] || 'GIF').toUpperCase();
-
-// Validate input
-if (!inputVideo) {
-    console.error("Usage: node gifmaker.js <video> [framerate=2] [format=GIF]");
-    console.error("Format can be 'GIF' or 'MP4'");
-    process.exit(1);
+const OUTPUT_FORMATS = ['GIF', 'MP4', 'WEBP', 'APNG'];
+const FORMAT_EXTENSIONS = { GIF: '.gif', MP4: '.mp4', WEBP: '.webp', APNG: '.apng' };
+const DEFAULT_FRAME_RATE = 2;  // 2fps (0.5s per frame)
+const DEFAULT_WIDTH = 1920;
+// Palette strategies: one palette for the whole file, one weighted towards what changes
+// between frames, or a new palette for every frame
+const PALETTE_MODES = ['global', 'diff', 'frame'];
+const DITHER_MODES = ['sierra2_4a', 'floyd_steinberg', 'bayer', 'sierra2', 'none'];
+const MAX_COLORS = 256;
+// Animated WebP quality (0-100)
+const DEFAULT_WEBP_QUALITY = 75;
+// Limits for --max-size: how far width, colors and WebP quality may be lowered, and how
+// many encodes to try before giving up
+const MIN_WIDTH = 320;
+const MIN_COLORS = 32;
+const MIN_WEBP_QUALITY = 30;
+const MAX_SIZE_ATTEMPTS = 8;
+
+// Function to write captions onto the page-per-frame timeline: a caption starts on the
+// frame of the page showing when it starts and lasts through the page showing when it ends
+async function writePageCaptions(captions, pageTimes, frameRate, captionsFile) {
+    const pageAt = time => {
+        let index = 0;
+        while (index < pageTimes.length - 1 && pageTimes[index + 1] <= time) index++;
+        return index;
+    };
+    const cues = retimeCaptions(
+        captions,
+        time => pageAt(time) / frameRate,
+        pageTimes.length / frameRate,
+        time => (pageAt(time - 0.001) + 1) / frameRate
+    );
+    await writeSrt(cues, captionsFile);
+}
+
+// Helper building the palettegen/paletteuse chain for the given encoding settings
+function paletteFilter(encoding) {
+    const generate = [`max_colors=${encoding.colors}`];
+    const use = [`dither=${encoding.dither}`];
+    if (encoding.palette === 'diff') {
+        generate.push('stats_mode=diff');
+    } else if (encoding.palette === 'frame') {
+        generate.push('stats_mode=single');
+        use.push('new=1');
+    }
+    return `split[s0][s1];[s0]palettegen=${generate.join(':')}[p];[s1][p]paletteuse=${use.join(':')}`;
 }
 
-if (!['GIF', 'MP4'].includes(outputFormat)) {
-    console.error("Format must be either 'GIF' or 'MP4'");
-    process.exit(1);
+// Function to assemble the extracted frames into the output file.
+// encoding is { width, colors, palette, dither, quality }; captionFilter and captionArgs
+// burn in or mux the captions.
+async function encodeFrames(framePattern, frameRate, outputFormat, outputFile, encoding, captionFilter, captionArgs) {
+    const scale = `scale=${encoding.width}:${outputFormat === 'MP4' ? -2 : -1}:flags=lanczos${captionFilter}`;
+    const input = ['-y', '-framerate', frameRate, '-i', framePattern];
+
+    if (outputFormat === 'GIF') {
+        await runFfmpeg(
+            [...input, '-vf', `${scale},${paletteFilter(encoding)}`, outputFile],
+            `Creating GIF from frames (${encoding.width}px, ${encoding.colors} colors)`
+        );
+    } else if (outputFormat === 'APNG') {
+        // APNG keeps full color unless fewer colors were asked for
+        const palette = encoding.colors < MAX_COLORS ? `,${paletteFilter(encoding)}` : '';
+        await runFfmpeg(
+            [...input, '-vf', scale + palette, '-plays', 0, '-f', 'apng', outputFile],
+            `Creating APNG from frames (${encoding.width}px)`
+        );
+    } else if (outputFormat === 'WEBP') {
+        await runFfmpeg(
+            [...input, '-vf', scale, '-c:v', 'libwebp', '-lossless', 0, '-q:v', encoding.quality, '-loop', 0, outputFile],
+            `Creating animated WebP from frames (${encoding.width}px, quality ${encoding.quality})`
+        );
+    } else {
+        await runFfmpeg(
+            [...input, ...captionArgs, '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-vf', scale, outputFile],
+            `Creating MP4 from frames (${encoding.width}px)`
+        );
+    }
 }
 
-// Helper function for logging with timestamps
-function logWithTimestamp(message) {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] ${message}`);
+// Helper to lower the encoding settings for another --max-size attempt. ratio is the
+// target size over the size reached; returns null when nothing can be lowered further.
+function shrinkEncoding(encoding, ratio, outputFormat) {
+    const next = { ...encoding };
+    // File size grows roughly with the pixel count, so scale the width by the square root
+    const factor = Math.min(0.9, Math.max(0.5, Math.sqrt(ratio) * 0.95));
+    next.width = Math.max(MIN_WIDTH, Math.floor(encoding.width * factor / 2) * 2);
+    if (outputFormat === 'GIF' || outputFormat === 'APNG') {
+        next.colors = Math.max(MIN_COLORS, Math.round(encoding.colors * 0.75));
+    } else if (outputFormat === 'WEBP') {
+        next.quality = Math.max(MIN_WEBP_QUALITY, encoding.quality - 10);
+    }
+    const changed = next.width !== encoding.width || next.colors !== encoding.colors || next.quality !== encoding.quality;
+    return changed ? next : null;
 }
 
-// Helper function for executing commands
-async function safeExec(command, stepDescription) {
-    try {
-        logWithTimestamp(`Starting: ${stepDescription}`);
-        const { stdout, stderr } = await execPromise(command);
-        logWithTimestamp(`Completed: ${stepDescription}`);
-        return stdout;
-    } catch (error) {
-        console.error(`Failed during: ${stepDescription}\nCommand: ${command}\nError: ${error.message}`);
-        process.exit(1);
+// Function to encode the frames, lowering width and colors (or WebP quality) until the
+// file is at most maxBytes. Resolves to the encoding that was used.
+async function encodeWithinSize(framePattern, frameRate, outputFormat, outputFile, encoding, maxBytes, captionFilter, captionArgs) {
+    let current = encoding;
+    for (let attempt = 1; attempt <= MAX_SIZE_ATTEMPTS; attempt++) {
+        await encodeFrames(framePattern, frameRate, outputFormat, outputFile, current, captionFilter, captionArgs);
+        const { size } = await fs.promises.stat(outputFile);
+        logWithTimestamp(`Attempt ${attempt}: ${(size / 1e6).toFixed(2)} MB (limit ${(maxBytes / 1e6).toFixed(2)} MB)`);
+        if (size <= maxBytes) return current;
+
+        const next = shrinkEncoding(current, maxBytes / size, outputFormat);
+        if (!next) break;
+        current = next;
     }
+    throw new Error(`Could not get ${outputFile} under ${(maxBytes / 1e6).toFixed(2)} MB; try a smaller --width, fewer pages or another --format`);
 }
 
-// Function to extract unique frames from a video
-async function extractUniqueFrames(inputVideo) {
-    const tempDir = `temp_frames_${Date.now()}`;
-    const outputFile = outputFormat === 'GIF' ? './_gif.gif' : './_gif.mp4';
+// Function to extract one frame per page of a video and assemble them into the output.
+// options.captions, when given, are { cues, mode } and are burned in or muxed as a subtitle
+// track. options.encoding holds the output settings; with options.maxBytes they are lowered
+// until the file fits. options.minDwell and options.allowAnimation go to page detection.
+async function extractUniqueFrames(inputVideo, frameRate, outputFormat, outputFile, options) {
+    const { captions, encoding, maxBytes } = options;
+    const tempDir = await makeTempDir("sfh-gif-");
     
     try {
-        // Create temporary directory
-        await fs.promises.mkdir(tempDir, { recursive: true });
+        // One frame per page; the page start times let captions follow the pages
+        const result = await detectPages(inputVideo, { minDwell: options.minDwell });
+        checkAnimation(result, inputVideo, options.allowAnimation);
+        await extractPageImages(inputVideo, result.pages, index => path.join(tempDir, `frame_${index + 1}.png`));
 
-        // Modified scene detection to force include first frame and be more sensitive
-        await safeExec(
-            `ffmpeg -i "${inputVideo}" -vf "select='if(eq(n,0),1,gt(scene,0.08))'" -vsync vfr "${tempDir}/frame_%d.png"`,
-            `Extracting unique frames from ${inputVideo}`
-        );
+        let captionFilter = '';
+        let captionArgs = [];
+        if (captions) {
+            const pageTimes = result.pages.map(page => page.start);
+            const captionsFile = path.join(tempDir, 'captions.srt');
+            await writePageCaptions(captions.cues, pageTimes, frameRate, captionsFile);
+            if (captions.mode === 'burn') {
+                captionFilter = `,${subtitlesFilter(captionsFile)}`;
+            } else {
+                captionArgs = ['-i', captionsFile, '-map', '0:v', '-map', '1:s', '-c:s', subtitleCodec(outputFile)];
+            }
+        }
 
         // Create output file based on format with numerical sorting
-        if (outputFormat === 'GIF') {
-            await safeExec(
-                `ffmpeg -y -framerate ${frameRate} -i "${tempDir}/frame_%d.png" -vf "scale=1920:-1:flags=lanczos,split[s0][s1];[s0]palettegen[p];[s1][p]paletteuse" "${outputFile}"`,
-                "Creating GIF from frames"
-            );
+        const framePattern = path.join(tempDir, 'frame_%d.png');
+        if (maxBytes && isDryRun()) {
+            logWithTimestamp("Dry run: --max-size is checked after each encode, so only the first attempt is shown");
+            await encodeFrames(framePattern, frameRate, outputFormat, outputFile, encoding, captionFilter, captionArgs);
+        } else if (maxBytes) {
+            const used = await encodeWithinSize(framePattern, frameRate, outputFormat, outputFile, encoding, maxBytes, captionFilter, captionArgs);
+            logWithTimestamp(`Fits at ${used.width}px${outputFormat === 'WEBP' ? `, quality ${used.quality}` : outputFormat === 'MP4' ? '' : `, ${used.colors} colors`}`);
         } else {
-            await safeExec(
-                `ffmpeg -y -framerate ${frameRate} -i "${tempDir}/frame_%d.png" -c:v libx264 -pix_fmt yuv420p -vf "scale=1920:-1:flags=lanczos" "${outputFile}"`,
-                "Creating MP4 from frames"
-            );
+            await encodeFrames(framePattern, frameRate, outputFormat, outputFile, encoding, captionFilter, captionArgs);
         }
 
         // Cleanup
-        await fs.promises.rm(tempDir, { recursive: true });
-        logWithTimestamp(`Cleaned up temporary directory: ${tempDir}`);
+        await removeTempDir(tempDir);
+        if (!isDryRun()) logWithTimestamp(`Cleaned up temporary directory: ${tempDir}`);
 
     } catch (error) {
-        console.error("Error processing video:", error);
         try {
-            await fs.promises.rm(tempDir, { recursive: true });
+            await removeTempDir(tempDir);
         } catch (cleanupError) {
             console.error("Error during cleanup:", cleanupError);
         }
+        throw error;
     }
 }
 
-// Simplify main function since we're only processing one video
-async function processVideo() {
+// Main processing function; resolves to the output path
+async function makeGif(inputVideo, options = {}) {
+    const frameRate = options.frameRate || DEFAULT_FRAME_RATE;
+    const outputFormat = (options.format || 'GIF').toUpperCase();
+    const encoding = {
+        // libx264 needs an even width
+        width: outputFormat === 'MP4' ? Math.floor((options.width || DEFAULT_WIDTH) / 2) * 2 : options.width || DEFAULT_WIDTH,
+        colors: options.colors || MAX_COLORS,
+        palette: options.palette || 'global',
+        dither: options.dither || 'sierra2_4a',
+        quality: options.quality !== undefined ? options.quality : DEFAULT_WEBP_QUALITY
+    };
+    if (encoding.colors > MAX_COLORS) {
+        throw new UsageError(`--colors must be at most ${MAX_COLORS} (got ${encoding.colors})`);
+    }
+    if (encoding.quality > 100) {
+        throw new UsageError(`--quality must be at most 100 (got ${encoding.quality})`);
+    }
+    const maxBytes = options.maxSize ? options.maxSize * 1e6 : null;
+
+    let captions = null;
+    if (options.captions) {
+        const mode = options.captionsMode || 'burn';
+        if (mode === 'soft' && outputFormat !== 'MP4') {
+            throw new UsageError(`${outputFormat} files can't carry a subtitle track; use --captions-mode burn or --format MP4`);
+        }
+        captions = { cues: loadCaptions(options.captions), mode };
+    }
+
+    setDryRun(options.dryRun);
+    const outputFile = claimOutput(options.output || outputName(inputVideo, `_gif${FORMAT_EXTENSIONS[outputFormat]}`), options.force);
+
     logWithTimestamp(`Processing video: ${inputVideo}`);
-    await extractUniqueFrames(inputVideo);
+    await extractUniqueFrames(inputVideo, frameRate, outputFormat, outputFile, {
+        captions,
+        encoding,
+        maxBytes,
+        minDwell: options.minDwell,
+        allowAnimation: options.allowAnimation
+    });
     logWithTimestamp(`Finished processing: ${inputVideo}`);
-    logWithTimestamp(`Output saved as: ${outputFormat === 'GIF' ? '_gif.gif' : '_gif.mp4'}`);
+    logOutput("Output", outputFile);
+    return outputFile;
 }
 
-// Run the main function
-processVideo();
+const command = batchable({
+    name: "gif",
+    summary: "Build an animated GIF (or WebP, APNG, MP4) from each still page of a score video",
+    usage: "<input> [options]",
+    minPositionals: 1,
+    options: {
+        fps: { type: "string", short: "r", placeholder: "rate", description: "Frames (pages) per second", default: DEFAULT_FRAME_RATE },
+        format: { type: "string", short: "f", placeholder: "format", description: `Output format: ${OUTPUT_FORMATS.join(", ")}`, default: 'GIF' },
+        width: { type: "string", short: "w", placeholder: "pixels", description: "Output width", default: DEFAULT_WIDTH },
+        colors: { type: "string", placeholder: "count", description: `Palette size for GIF (and APNG, which is full color at ${MAX_COLORS})`, default: MAX_COLORS },
+        palette: { type: "string", placeholder: "mode", description: "Palette per file ('global'), weighted to what changes ('diff') or per frame ('frame')", default: 'global' },
+        dither: { type: "string", placeholder: "mode", description: `Dithering: ${DITHER_MODES.join(", ")}`, default: 'sierra2_4a' },
+        quality: { type: "string", short: "q", placeholder: "0-100", description: "Animated WebP quality", default: DEFAULT_WEBP_QUALITY },
+        "max-size": { type: "string", short: "s", placeholder: "MB", description: "Lower width and colors (or WebP quality) until the file is at most this size" },
+        "min-dwell": { type: "string", placeholder: "seconds", description: "How long the picture must hold still to count as a page", default: DEFAULT_MIN_DWELL },
+        "allow-animation": { type: "boolean", description: "Use the still stretches of an animated video instead of stopping" },
+        captions: { type: "string", placeholder: "file", description: "Captions for the input video: an SRT, WebVTT or JSON marks file" },
+        "captions-mode": { type: "string", placeholder: "mode", description: "'burn' captions into the picture or mux them as a 'soft' subtitle track (MP4 only)", default: 'burn' },
+        output: { type: "string", short: "o", placeholder: "file", description: "Output file (default: <input name>_gif with the format's extension)" },
+        ...OUTPUT_OPTIONS
+    },
+    async run(values, positionals) {
+        // Legacy positional form: <video> [framerate] [format]
+        const [input, legacyFrameRate, legacyFormat] = positionals;
+        await makeGif(input, {
+            frameRate: toNumber(legacyFrameRate !== undefined ? legacyFrameRate : values.fps, 'fps', { min: 0.01 }),
+            format: toChoice(legacyFormat || values.format, 'format', OUTPUT_FORMATS),
+            width: toNumber(values.width, 'width', { min: 16, integer: true }),
+            colors: toNumber(values.colors, 'colors', { min: 4, integer: true }),
+            palette: toChoice(values.palette, 'palette', PALETTE_MODES),
+            dither: toChoice(values.dither, 'dither', DITHER_MODES),
+            quality: toNumber(values.quality, 'quality', { min: 0 }),
+            maxSize: toNumber(values["max-size"], 'max-size', { min: 0.01 }),
+            minDwell: toNumber(values["min-dwell"], 'min-dwell', { min: 0.25 }),
+            allowAnimation: values["allow-animation"],
+            captions: values.captions,
+            captionsMode: toChoice(values["captions-mode"], 'captions-mode', CAPTION_MODES),
+            output: values.output,
+            force: values.force,
+            dryRun: values["dry-run"]
+        });
+    }
+});
+
+module.exports = { FORMAT_EXTENSIONS, command, makeGif };
+
+if (require.main === module) {
+    runCommand(command, process.argv.slice(2), "node gifmaker.js");
+}
@@ -1,52 +1,21 @@
-const { exec } = require("child_process");
-const util = require("util");
 const fs = require("fs");
 const path = require("path");
+const { runCommand, toNumber } = require("./lib/cli");
+const { logWithTimestamp, probe, runFfmpeg } = require("./lib/ffmpeg");
+const { OUTPUT_OPTIONS, claimOutput } = require("./lib/output");
 
-// Promisify exec and fs functions
-const execPromise = util.promisify(exec);
-
-// Get input directory from command line arguments
-const inputDir = process.argv[2];
 const GRAIN_DURATION = 0.0625; // Changed from 0.25 to 0.125 for 1/8th second grains
-
-// Validate input
-if (!inputDir) {
-    console.error("Usage: node granularVideo.js <directory_path>");
-    process.exit(1);
-}
-
-// Helper function for logging with timestamps
-function logWithTimestamp(message) {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] ${message}`);
-}
-
-// Helper function for executing commands
-async function safeExec(command, stepDescription) {
-    try {
-        logWithTimestamp(`Starting: ${stepDescription}`);
-        const { stdout, stderr } = await execPromise(command);
-        logWithTimestamp(`Completed: ${stepDescription}`);
-        return stdout;
-    } catch (error) {
-        console.error(`Failed during: ${stepDescription}\nCommand: ${command}\nError: ${error.message}`);
-        process.exit(1);
-    }
-}   
+const NUM_PASSES = 10;
 
 // Get video duration using ffprobe
 async function getVideoDuration(videoPath) {
-    const command = `ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${videoPath}"`;
-    const duration = await safeExec(command, `Getting duration for ${path.basename(videoPath)}`);
-    return parseFloat(duration);
+    const { duration } = await probe(videoPath);
+    return duration;
 }
 
-async function createGranularVideo(videoFiles) {
-    const outputDir = path.join(inputDir, 'granular');
-    const outputFile = path.join(outputDir, 'granular_output.mp4');
+async function createGranularVideo(videoFiles, outputFile, grainDuration, numPasses) {
+    const outputDir = path.dirname(outputFile);
     const tempDir = path.join(outputDir, 'temp');
-    const NUM_PASSES = 10;
     
     try {
         // Create output and temp directories
@@ -55,8 +24,8 @@ async function createGranularVideo(videoFiles) {
 
         // Create list of segments with their start times
         const segments = [];
-        for (let pass = 1; pass < NUM_PASSES; pass++) {
-            const percentagePoint = pass / NUM_PASSES; // 0.0, 0.1, 0.2, ... 0.9
+        for (let pass = 1; pass < numPasses; pass++) {
+            const percentagePoint = pass / numPasses; // 0.0, 0.1, 0.2, ... 0.9
             
             for (let i = 0; i < videoFiles.length; i++) {
                 const video = videoFiles[i];
@@ -65,17 +34,19 @@ async function createGranularVideo(videoFiles) {
                 
                 // Extract segment from calculated point in video
                 const segmentFile = path.join(tempDir, `segment_pass${pass}_${i}.mp4`);
-                const extractCommand = `ffmpeg -ss ${timePoint} -i "${video}" `
-                    + `-t ${GRAIN_DURATION} `
-                    + `-c:v libx264 -preset ultrafast `
-                    + `-c:a aac -strict experimental `
-                    + `-vsync cfr `
-                    + `-af "afade=t=in:st=0:d=0.001,afade=t=out:st=${GRAIN_DURATION-0.001}:d=0.001,apad" `
-                    + `-shortest `
-                    + `-r 30 -ar 48000 `
-                    + `-video_track_timescale 30000 `
-                    + `-y "${segmentFile}"`;
-                await safeExec(extractCommand, `Extracting segment from ${path.basename(video)} at ${(percentagePoint * 100).toFixed(0)}%`);
+                const extractArgs = [
+                    '-ss', timePoint, '-i', video,
+                    '-t', grainDuration,
+                    '-c:v', 'libx264', '-preset', 'ultrafast',
+                    '-c:a', 'aac', '-strict', 'experimental',
+                    '-vsync', 'cfr',
+                    '-af', `afade=t=in:st=0:d=0.001,afade=t=out:st=${grainDuration-0.001}:d=0.001,apad`,
+                    '-shortest',
+                    '-r', '30', '-ar', '48000',
+                    '-video_track_timescale', '30000',
+                    '-y', segmentFile
+                ];
+                await runFfmpeg(extractArgs, `Extracting segment from ${path.basename(video)} at ${(percentagePoint * 100).toFixed(0)}%`);
                 
                 segments.push(segmentFile);
             }
@@ -87,54 +58,77 @@ async function createGranularVideo(videoFiles) {
         await fs.promises.writeFile(concatFile, concatContent);
 
         // Concatenate all segments with re-encoding to ensure consistency
-        const concatCommand = `ffmpeg -f concat -safe 0 -i "${concatFile}" `
-            + `-c:v libx264 -preset medium `
-            + `-c:a aac -strict experimental `
-            + `-vsync cfr -shortest `
-            + `-r 30 -ar 48000 `
-            + `-video_track_timescale 30000 `
-            + `"${outputFile}"`;
-        await safeExec(concatCommand, "Concatenating segments");
+        const concatArgs = [
+            '-f', 'concat', '-safe', '0', '-i', concatFile,
+            '-c:v', 'libx264', '-preset', 'medium',
+            '-c:a', 'aac', '-strict', 'experimental',
+            '-vsync', 'cfr', '-shortest',
+            '-r', '30', '-ar', '48000',
+            '-video_track_timescale', '30000',
+            outputFile
+        ];
+        await runFfmpeg(concatArgs, "Concatenating segments");
 
         // Clean up temp directory
         await fs.promises.rm(tempDir, { recursive: true });
 
         logWithTimestamp(`Granular video saved to: ${outputFile}`);
-        logWithTimestamp(`Total duration: ${(videoFiles.length * GRAIN_DURATION * NUM_PASSES).toFixed(2)} seconds`);
+        logWithTimestamp(`Total duration: ${(videoFiles.length * grainDuration * numPasses).toFixed(2)} seconds`);
 
     } catch (error) {
-        console.error("Error creating granular video:", error);
         // Clean up temp directory if it exists
         if (fs.existsSync(tempDir)) {
             await fs.promises.rm(tempDir, { recursive: true });
         }
-        process.exit(1);
+        throw error;
     }
 }
 
-// Main processing function
-async function processVideos() {
-    try {
-        // Get all MP4 files in the input directory
-        const files = await fs.promises.readdir(inputDir);
-        const videoFiles = files
-            .filter(file => path.extname(file).toLowerCase() === '.mp4')
-            .map(file => path.join(inputDir, file));
-
-        if (videoFiles.length === 0) {
-            console.error("No MP4 files found in the specified directory");
-            process.exit(1);
-        }
+// Main processing function; resolves to the output path
+async function granularVideos(inputDir, options = {}) {
+    const outputFile = claimOutput(options.output || path.join(inputDir, 'granular', 'granular_output.mp4'), options.force);
+    const grainDuration = options.grain || GRAIN_DURATION;
+    const numPasses = options.passes || NUM_PASSES;
 
-        logWithTimestamp(`Found ${videoFiles.length} MP4 files to process`);
-        await createGranularVideo(videoFiles);
-        logWithTimestamp("Granular video created successfully!");
+    // Get all MP4 files in the input directory
+    const files = await fs.promises.readdir(inputDir);
+    const videoFiles = files
+        .filter(file => path.extname(file).toLowerCase() === '.mp4')
+        .map(file => path.join(inputDir, file));
 
-    } catch (error) {
-        console.error("Error during processing:", error);
-        process.exit(1);
+    if (videoFiles.length === 0) {
+        throw new Error(`No MP4 files found in ${inputDir}`);
     }
+
+    logWithTimestamp(`Found ${videoFiles.length} MP4 files to process`);
+    await createGranularVideo(videoFiles, outputFile, grainDuration, numPasses);
+    logWithTimestamp("Granular video created successfully!");
+    return outputFile;
 }
 
-// Run the main function
-processVideos(); 
\ No newline at end of file
+const command = {
+    name: "granular",
+    summary: "Build a granular collage from short grains of every MP4 in a directory",
+    usage: "<directory> [options]",
+    minPositionals: 1,
+    options: {
+        grain: { type: "string", short: "g", placeholder: "seconds", description: "Length of each grain", default: GRAIN_DURATION },
+        passes: { type: "string", short: "p", placeholder: "count", description: "Number of passes through the videos", default: NUM_PASSES },
+        output: { type: "string", short: "o", placeholder: "file", description: "Output file (default: <directory>/granular/granular_output.mp4)" },
+        force: OUTPUT_OPTIONS.force
+    },
+    async run(values, positionals) {
+        await granularVideos(positionals[0], {
+            grain: toNumber(values.grain, 'grain', { min: 0.002 }),
+            passes: toNumber(values.passes, 'passes', { min: 2, integer: true }),
+            output: values.output,
+            force: values.force
+        });
+    }
+};
+
+module.exports = { command, granularVideos };
+
+if (require.main === module) {
+    runCommand(command, process.argv.slice(2), "node granularVideo.js");
+}
@@ -0,0 +1,108 @@
+const { runCommand, toNumber, UsageError } = require("./lib/cli");
+const { logWithTimestamp, probe, runFfmpegWithProgress, setDryRun } = require("./lib/ffmpeg");
+const { audioFadeFilters } = require("./lib/fades");
+const { formatChapterTime } = require("./lib/chapters");
+const { analyzeAudio, pickHighlights, scoreWindows } = require("./lib/highlight");
+const { OUTPUT_OPTIONS, claimOutput, logOutput, outputName } = require("./lib/output");
+const { detectPages } = require("./lib/pages");
+
+const OUTPUT_SUFFIX = "_highlight.mp4";
+// Default excerpt length and fades (seconds)
+const DEFAULT_LENGTH = 45;
+const DEFAULT_FADE_IN = 1;
+const DEFAULT_FADE_OUT = 2;
+
+// Function to cut [start, end) out of the video with audio fades, re-encoding so the cut is
+// frame-accurate
+async function cutHighlight(inputVideo, highlight, outputVideo, fades) {
+  const length = highlight.end - highlight.start;
+  const audioFilters = audioFadeFilters(length, fades);
+  await runFfmpegWithProgress([
+    '-y', '-ss', highlight.start.toFixed(3), '-i', inputVideo, '-t', length.toFixed(3),
+    ...(audioFilters.length > 0 ? ['-af', audioFilters.join(",")] : []),
+    '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-c:a', 'aac',
+    outputVideo
+  ], length, `Cutting ${length.toFixed(1)}s highlight from ${formatChapterTime(highlight.start)}`);
+}
+
+// Main processing function; resolves to the picked highlights (best first), and cuts the
+// best one unless options.propose is set
+async function highlight(inputVideo, options = {}) {
+  const length = options.length || DEFAULT_LENGTH;
+  setDryRun(options.dryRun);
+  // Proposing writes nothing, so there is no output to claim
+  const outputVideo = options.propose ? null : claimOutput(options.output || outputName(inputVideo, OUTPUT_SUFFIX), options.force);
+
+  logWithTimestamp(`Processing video: ${inputVideo}`);
+  const videoInfo = await probe(inputVideo);
+  const duration = videoInfo.videoDuration || videoInfo.duration;
+  if (!duration) {
+    throw new Error(`Could not determine the duration of ${inputVideo}`);
+  }
+  if (length >= duration) {
+    throw new UsageError(`--length ${length}s is not shorter than the video (${duration.toFixed(1)}s)`);
+  }
+
+  const pageTurns = (await detectPages(inputVideo)).pages.map(page => page.start);
+  logWithTimestamp(`Found ${pageTurns.length} pages`);
+  const features = videoInfo.hasAudio
+    ? await analyzeAudio(inputVideo, duration)
+    : { energy: new Float64Array(Math.ceil(duration)), onsets: new Float64Array(Math.ceil(duration)) };
+  if (!videoInfo.hasAudio) {
+    logWithTimestamp("No audio track found; choosing by page-turn rate only");
+  }
+
+  const highlights = pickHighlights(scoreWindows(features, pageTurns, length, duration), options.candidates || 1);
+  if (highlights.length === 0) {
+    throw new Error(`No ${length}s window starting on a page turn fits in ${inputVideo}`);
+  }
+  const lines = highlights.map((candidate, index) =>
+    `  ${index + 1}. ${formatChapterTime(candidate.start)}-${formatChapterTime(candidate.end)} ` +
+    `(${(candidate.end - candidate.start).toFixed(1)}s) score ${candidate.score.toFixed(2)}: ` +
+    `energy ${candidate.energy.toFixed(3)}, ${candidate.onsets.toFixed(1)} onsets/s, ${(candidate.pages * 60).toFixed(1)} page turns/min`
+  );
+  logWithTimestamp(`Best ${highlights.length === 1 ? "window" : `${highlights.length} windows`}:\n${lines.join("\n")}`);
+
+  if (!options.propose) {
+    await cutHighlight(inputVideo, highlights[0], outputVideo, {
+      fadeIn: options.fadeIn !== undefined ? options.fadeIn : DEFAULT_FADE_IN,
+      fadeOut: options.fadeOut !== undefined ? options.fadeOut : DEFAULT_FADE_OUT
+    });
+    logOutput("Highlight", outputVideo);
+  }
+  return highlights;
+}
+
+const command = {
+  name: "highlight",
+  summary: "Find (and cut) the most engaging excerpt of a score video",
+  usage: "<input> [options]",
+  minPositionals: 1,
+  options: {
+    length: { type: "string", short: "l", placeholder: "seconds", description: "Excerpt length; the end moves to the nearest page turn", default: DEFAULT_LENGTH },
+    candidates: { type: "string", short: "n", placeholder: "count", description: "Number of windows to list; each overlaps a better one by at most half", default: 1 },
+    propose: { type: "boolean", short: "p", description: "Only list the best windows; write nothing" },
+    "fade-in": { type: "string", placeholder: "seconds", description: "Audio fade-in at the start of the excerpt", default: DEFAULT_FADE_IN },
+    "fade-out": { type: "string", placeholder: "seconds", description: "Audio fade-out at the end of the excerpt", default: DEFAULT_FADE_OUT },
+    output: { type: "string", short: "o", placeholder: "file", description: `Output file (default: <input name>${OUTPUT_SUFFIX})` },
+    ...OUTPUT_OPTIONS
+  },
+  async run(values, positionals) {
+    await highlight(positionals[0], {
+      length: toNumber(values.length, 'length', { min: 1 }),
+      candidates: toNumber(values.candidates, 'candidates', { min: 1, integer: true }),
+      propose: values.propose,
+      fadeIn: toNumber(values["fade-in"], 'fade-in', { min: 0 }),
+      fadeOut: toNumber(values["fade-out"], 'fade-out', { min: 0 }),
+      output: values.output,
+      force: values.force,
+      dryRun: values["dry-run"]
+    });
+  }
+};
+
+module.exports = { command, highlight };
+
+if (require.main === module) {
+  runCommand(command, process.argv.slice(2), "node highlight.js");
+}
@@ -0,0 +1,60 @@
+const { logWithTimestamp, probe, runFfmpeg } = require("./ffmpeg");
+
+// Differences below this are treated as already in sync (seconds)
+const SYNC_TOLERANCE = 0.001;
+
+// Make a file's audio track exactly as long as its video track, writing the result to output.
+// Short audio is padded with silence, long audio is trimmed and a missing track is generated
+// as silence using options.sampleRate / options.channelLayout. Video is stream-copied and
+// the audio encoded with options.audioCodec (default: aac).
+async function matchAudioToVideo(input, output, options = {}) {
+  const info = await probe(input);
+  const videoDuration = info.videoDuration || info.duration;
+  const extraArgs = options.extraArgs || [];
+  const audioCodec = options.audioCodec || "aac";
+
+  if (!videoDuration) {
+    throw new Error(`Could not determine the video duration of ${input}`);
+  }
+
+  if (!info.hasAudio) {
+    const sampleRate = options.sampleRate || 44100;
+    const channelLayout = options.channelLayout || "stereo";
+    logWithTimestamp(`No audio track found; generating ${videoDuration.toFixed(3)}s of silence (${sampleRate} Hz ${channelLayout})`);
+    await runFfmpeg([
+      '-y', '-i', input,
+      '-f', 'lavfi', '-i', `anullsrc=r=${sampleRate}:cl=${channelLayout}`,
+      '-map', '0:v', '-map', '1:a',
+      '-t', videoDuration.toFixed(6),
+      '-c:v', 'copy', '-c:a', audioCodec, ...extraArgs,
+      output
+    ], "Adding silent audio track");
+    return { action: "generated", videoDuration, audioDuration: null };
+  }
+
+  const audioDuration = info.audioDuration || info.duration;
+  const difference = videoDuration - audioDuration;
+  const wholeLength = Math.round(videoDuration * info.sampleRate);
+
+  let action;
+  if (Math.abs(difference) < SYNC_TOLERANCE) {
+    action = "unchanged";
+  } else if (difference > 0) {
+    action = "padded";
+  } else {
+    action = "trimmed";
+  }
+  logWithTimestamp(`Video: ${videoDuration.toFixed(3)}s, audio: ${audioDuration.toFixed(3)}s at ${info.sampleRate} Hz (${action === "unchanged" ? "already in sync" : `${action} by ${Math.abs(difference).toFixed(3)}s`})`);
+
+  // apad fills up to the exact sample count and atrim cuts anything beyond it
+  await runFfmpeg([
+    '-y', '-i', input,
+    '-filter_complex', `[0:a]apad=whole_len=${wholeLength},atrim=end_sample=${wholeLength}[aout]`,
+    '-map', '0:v', '-map', '[aout]',
+    '-c:v', 'copy', '-c:a', audioCodec, ...extraArgs,
+    output
+  ], "Matching audio duration to video");
+  return { action, videoDuration, audioDuration };
+}
+
+module.exports = { matchAudioToVideo };
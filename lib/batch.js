@@ -0,0 +1,199 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { UsageError, toNumber } = require("./cli");
+const { logWithTimestamp, setProgressBars } = require("./ffmpeg");
+
+// Files picked up from a folder given as input
+const VIDEO_EXTENSIONS = [".mp4", ".mov", ".m4v", ".mkv", ".webm", ".avi"];
+
+// Option added to every command that takes several inputs
+const BATCH_OPTIONS = {
+  jobs: { type: "string", short: "j", placeholder: "count", description: "Inputs processed at once when there are several (default: one per CPU core)" }
+};
+
+// Helper to sort paths the way people number files (page2 before page10)
+function naturalSort(files) {
+  return files.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+// Helper telling whether a path uses glob characters
+function hasGlob(pattern) {
+  return /[*?[]/.test(pattern);
+}
+
+// Helper turning one path segment of a glob (*, ? and [...] classes) into a RegExp
+function globToRegExp(segment) {
+  let source = "";
+  for (const char of segment) {
+    if (char === "*") source += "[^/]*";
+    else if (char === "?") source += "[^/]";
+    else if (char === "[" || char === "]") source += char;
+    else source += char.replace(/[.+^${}()|\\]/g, "\\$&");
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Helper listing a directory's entries, or none when it can't be read
+function readEntries(dir) {
+  try {
+    return fs.readdirSync(dir || ".", { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+}
+
+// Helper listing a directory and every directory below it (for **)
+function subdirectories(dir) {
+  const found = [];
+  for (const entry of readEntries(dir)) {
+    if (!entry.isDirectory() || entry.name.startsWith(".")) continue;
+    const sub = path.join(dir, entry.name);
+    found.push(sub, ...subdirectories(sub));
+  }
+  return found;
+}
+
+// Helper expanding a glob (*, ?, [...] and ** for any depth of folders) into the files it matches
+function expandGlob(pattern) {
+  const normalized = pattern.replace(/\\/g, "/");
+  let matches = [normalized.startsWith("/") ? "/" : ""];
+  for (const segment of normalized.split("/").filter(Boolean)) {
+    const next = [];
+    for (const base of matches) {
+      if (segment === "**") {
+        next.push(base, ...subdirectories(base));
+      } else if (!hasGlob(segment)) {
+        next.push(path.join(base, segment));
+      } else {
+        const regex = globToRegExp(segment);
+        for (const entry of readEntries(base)) {
+          if (!entry.name.startsWith(".") && regex.test(entry.name)) next.push(path.join(base, entry.name));
+        }
+      }
+    }
+    matches = next;
+  }
+  return naturalSort([...new Set(matches)].filter(file => fs.existsSync(file) && fs.statSync(file).isFile()));
+}
+
+// Helper listing the videos directly inside a folder
+function listVideos(dir) {
+  return naturalSort(readEntries(dir)
+    .filter(entry => entry.isFile() && VIDEO_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+    .map(entry => path.join(dir, entry.name)));
+}
+
+// Sort a command's positionals into inputs and the rest. The first positional is always an
+// input; further ones are too when they are existing files, folders or globs, and whatever
+// follows is left for the command (legacy positionals such as fadeout's duration).
+// Returns { inputs, rest, batch }: batch is set for several inputs, a folder or a glob.
+function expandInputs(positionals) {
+  const inputs = [];
+  let batch = false;
+  let index = 0;
+  for (; index < positionals.length; index++) {
+    const arg = positionals[index];
+    const stat = fs.existsSync(arg) ? fs.statSync(arg) : null;
+    if (stat && stat.isDirectory()) {
+      const videos = listVideos(arg);
+      if (videos.length === 0) throw new UsageError(`No videos (${VIDEO_EXTENSIONS.join(", ")}) found in ${arg}`);
+      inputs.push(...videos);
+      batch = true;
+    } else if (!stat && hasGlob(arg)) {
+      const files = expandGlob(arg);
+      if (files.length === 0) throw new UsageError(`Nothing matches ${arg}`);
+      inputs.push(...files);
+      batch = true;
+    } else if (index === 0 || stat) {
+      inputs.push(arg);
+    } else {
+      break;
+    }
+  }
+  const unique = [...new Set(inputs)];
+  return { inputs: unique, rest: positionals.slice(index), batch: batch || unique.length > 1 };
+}
+
+// Run worker(item, index) over items with at most limit running at once
+async function runPool(items, limit, worker) {
+  let next = 0;
+  async function lane() {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+}
+
+// Build the end-of-batch summary table from [{ input, ok, seconds, error }]
+function formatSummary(results) {
+  const failed = results.filter(result => !result.ok).length;
+  const width = Math.max(5, ...results.map(result => result.input.length));
+  const lines = [
+    `Batch summary: ${results.length - failed} succeeded, ${failed} failed`,
+    `  ${"#".padStart(3)}  ${"Input".padEnd(width)}  Status  ${"Time".padStart(8)}  Error`
+  ];
+  results.forEach((result, index) => {
+    lines.push(`  ${String(index + 1).padStart(3)}  ${result.input.padEnd(width)}  ${(result.ok ? "ok" : "FAILED").padEnd(6)}  ${`${result.seconds.toFixed(1)}s`.padStart(8)}  ${result.ok ? "" : result.error}`.trimEnd());
+  });
+  return lines.join("\n");
+}
+
+// Function to run a command once per input through a worker pool, carrying on past
+// failures. Logs each input's status and a summary table; rejects when any input failed.
+async function runBatch(run, values, inputs, rest) {
+  if (values.output !== undefined) {
+    throw new UsageError("--output names a single output; with several inputs each output is named after its input");
+  }
+  const jobs = Math.min(toNumber(values.jobs, 'jobs', { min: 1, integer: true }) || os.cpus().length, inputs.length);
+  logWithTimestamp(`Batch: ${inputs.length} inputs, ${jobs} at a time`);
+
+  // Several progress bars on one line would only garble each other
+  setProgressBars(jobs === 1);
+  const results = inputs.map(input => ({ input, ok: false, seconds: 0, error: null }));
+  try {
+    await runPool(inputs, jobs, async (input, index) => {
+      const label = `[${index + 1}/${inputs.length}] ${input}`;
+      const started = Date.now();
+      logWithTimestamp(`${label}: started`);
+      try {
+        await run(values, [input, ...rest]);
+        results[index].ok = true;
+        logWithTimestamp(`${label}: done`);
+      } catch (error) {
+        results[index].error = error.message.split("\n")[0];
+        logWithTimestamp(`${label}: failed: ${error.message}`);
+      }
+      results[index].seconds = (Date.now() - started) / 1000;
+    });
+  } finally {
+    setProgressBars(true);
+  }
+
+  console.log(formatSummary(results));
+  const failed = results.filter(result => !result.ok).length;
+  if (failed > 0) {
+    throw new Error(`${failed} of ${inputs.length} inputs failed`);
+  }
+  return results;
+}
+
+// Let a single-input command take several inputs, folders or globs: given more than one
+// input it runs once per input through runBatch, otherwise exactly as before
+function batchable(command) {
+  const runOne = command.run;
+  return {
+    ...command,
+    usage: command.usage.replace("<input>", "<input...>"),
+    options: { ...command.options, ...BATCH_OPTIONS },
+    async run(values, positionals) {
+      const { inputs, rest, batch } = expandInputs(positionals);
+      if (!batch) return runOne(values, positionals);
+      await runBatch(runOne, values, inputs, rest);
+    }
+  };
+}
+
+module.exports = { VIDEO_EXTENSIONS, batchable, expandGlob, expandInputs, runBatch, runPool };
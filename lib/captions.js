@@ -0,0 +1,157 @@
+const fs = require("fs");
+const path = require("path");
+const { UsageError } = require("./cli");
+const { writeOutputFile } = require("./output");
+const { escapeFilterValue } = require("./titleCard");
+
+// 'burn' draws captions into the picture, 'soft' muxes them as a subtitle track
+const CAPTION_MODES = ["burn", "soft"];
+// How long a JSON mark without an end stays on screen (capped by the next mark)
+const DEFAULT_MARK_DURATION = 4;
+// libass lays SRT captions out on a canvas this many units tall
+const ASS_PLAY_HEIGHT = 288;
+
+// Parse "1:02:03.5", "02:03,250", "83.5" or a number into seconds
+function parseTimestamp(value, file) {
+  if (typeof value === "number") return value;
+  const parts = String(value).trim().replace(",", ".").split(":");
+  const seconds = parts.reduce((total, part) => total * 60 + Number(part), 0);
+  if (parts.some(part => part === "" || !Number.isFinite(Number(part)))) {
+    throw new UsageError(`${file}: invalid timestamp "${value}"`);
+  }
+  return seconds;
+}
+
+// Parse SRT or WebVTT cue blocks (the formats only differ in the header and decimal separator)
+function parseCueBlocks(text, file) {
+  const cues = [];
+  const blocks = text.replace(/\r/g, "").replace(/^\uFEFF/, "").split(/\n\s*\n/);
+  for (const block of blocks) {
+    const lines = block.split("\n").filter(line => line.trim() !== "");
+    const timingIndex = lines.findIndex(line => line.includes("-->"));
+    if (timingIndex === -1) continue;  // WEBVTT header, NOTE and STYLE blocks
+
+    const [start, rest] = lines[timingIndex].split("-->");
+    const end = rest.trim().split(/\s+/)[0];  // drop WebVTT cue settings
+    cues.push({
+      start: parseTimestamp(start, file),
+      end: parseTimestamp(end, file),
+      text: lines.slice(timingIndex + 1).join("\n")
+    });
+  }
+  return cues;
+}
+
+// Parse a JSON list of marks: [{ "time": "1:05", "text": "Movement II" }, ...].
+// A mark may give start/end instead of time; without an end it lasts until the next mark.
+function parseMarks(data, file) {
+  const marks = Array.isArray(data) ? data : data.captions || data.marks;
+  if (!Array.isArray(marks)) {
+    throw new UsageError(`${file}: expected a list of { time, text } marks`);
+  }
+
+  const cues = marks.map((mark, index) => {
+    const start = mark.start !== undefined ? mark.start : mark.time;
+    if (start === undefined || mark.text === undefined) {
+      throw new UsageError(`${file}: mark ${index + 1} needs a time and text`);
+    }
+    return {
+      start: parseTimestamp(start, file),
+      end: mark.end !== undefined ? parseTimestamp(mark.end, file) : null,
+      text: String(mark.text)
+    };
+  }).sort((a, b) => a.start - b.start);
+
+  cues.forEach((cue, index) => {
+    if (cue.end !== null) return;
+    const next = cues[index + 1];
+    cue.end = Math.min(cue.start + DEFAULT_MARK_DURATION, next ? next.start : Infinity);
+  });
+  return cues;
+}
+
+// Load captions from an SRT, WebVTT or JSON marks file.
+// Returns cues [{ start, end, text }] in seconds, sorted by start time.
+function loadCaptions(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (error) {
+    throw new UsageError(`Could not read captions ${file}: ${error.message}`);
+  }
+
+  const ext = path.extname(file).toLowerCase();
+  let cues;
+  if (ext === ".json") {
+    try {
+      cues = parseMarks(JSON.parse(text), file);
+    } catch (error) {
+      if (error instanceof UsageError) throw error;
+      throw new UsageError(`Could not parse ${file}: ${error.message}`);
+    }
+  } else if (ext === ".srt" || ext === ".vtt") {
+    cues = parseCueBlocks(text, file);
+  } else {
+    throw new UsageError(`Unsupported captions file ${file} (expected .srt, .vtt or .json)`);
+  }
+
+  if (cues.length === 0) {
+    throw new UsageError(`No captions found in ${file}`);
+  }
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+// Move cues onto an output timeline. mapTime converts a source time to an output time
+// (mapEnd, when given, is used for cue ends instead); cues are clipped to [0, end] and
+// dropped when nothing of them is left.
+function retimeCaptions(cues, mapTime, end = Infinity, mapEnd = mapTime) {
+  return cues
+    .map(cue => ({ ...cue, start: Math.max(0, mapTime(cue.start)), end: Math.min(end, mapEnd(cue.end)) }))
+    .filter(cue => cue.end > cue.start);
+}
+
+// Helper to format seconds as an SRT timestamp (00:01:02,345)
+function formatSrtTime(seconds) {
+  const millis = Math.round(seconds * 1000);
+  const h = Math.floor(millis / 3600000);
+  const m = Math.floor(millis / 60000) % 60;
+  const s = Math.floor(millis / 1000) % 60;
+  const ms = millis % 1000;
+  return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}:${String(s).padStart(2, "0")},${String(ms).padStart(3, "0")}`;
+}
+
+// Write cues as an SRT file (the form both the subtitles filter and the muxers accept)
+async function writeSrt(cues, file) {
+  const blocks = cues.map((cue, index) =>
+    `${index + 1}\n${formatSrtTime(cue.start)} --> ${formatSrtTime(cue.end)}\n${cue.text}\n`
+  );
+  await writeOutputFile(file, blocks.join("\n"));
+}
+
+// Filter that burns an SRT file into the picture. bottomMargin (fraction of the frame
+// height) keeps captions clear of anything drawn along the bottom edge.
+function subtitlesFilter(srtFile, options = {}) {
+  const style = ["BorderStyle=1", "Outline=2", "Shadow=0"];
+  if (options.bottomMargin) {
+    style.push(`MarginV=${Math.round(ASS_PLAY_HEIGHT * options.bottomMargin)}`);
+  }
+  return `subtitles=filename='${escapeFilterValue(srtFile)}':force_style='${style.join(",")}'`;
+}
+
+// Helper to pick the subtitle codec the output container can hold
+function subtitleCodec(outputFile) {
+  const ext = path.extname(outputFile).toLowerCase();
+  if (ext === ".mkv") return "srt";
+  if (ext === ".webm") return "webvtt";
+  if (ext === ".mp4" || ext === ".mov" || ext === ".m4v") return "mov_text";
+  throw new UsageError(`Soft captions need an MP4, MOV, MKV or WebM output (got ${outputFile})`);
+}
+
+module.exports = {
+  CAPTION_MODES,
+  loadCaptions,
+  retimeCaptions,
+  subtitleCodec,
+  subtitlesFilter,
+  writeSrt
+};
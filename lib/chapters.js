@@ -0,0 +1,131 @@
+const { loadCaptions } = require("./captions");
+const { runFfmpeg } = require("./ffmpeg");
+const { writeOutputFile } = require("./output");
+const { detectPages } = require("./pages");
+
+// Where chapter boundaries come from: page turns or long silences in the video
+const CHAPTER_SOURCES = ["pages", "silence"];
+// YouTube ignores chapter lists with a chapter shorter than this
+const MIN_CHAPTER_LENGTH = 10;
+// silencedetect settings: level below which audio counts as silent, and how long it must last
+const DEFAULT_SILENCE_NOISE = -50;
+const DEFAULT_SILENCE_DURATION = 2;
+
+// Chapter starts at every page turn
+async function pageTurnChapters(video) {
+  const { pages } = await detectPages(video);
+  return pages.map((page, index) => ({ time: page.start, title: `Page ${index + 1}` }));
+}
+
+// Chapter starts wherever the music resumes after a long silence (between movements)
+async function silenceChapters(video, options = {}) {
+  const noise = options.noise !== undefined ? options.noise : DEFAULT_SILENCE_NOISE;
+  const minSilence = options.minSilence || DEFAULT_SILENCE_DURATION;
+  const { stderr } = await runFfmpeg([
+    '-nostats', '-i', video, '-vn',
+    '-af', `silencedetect=noise=${noise}dB:d=${minSilence}`,
+    '-f', 'null', '-'
+  ], "Detecting silences");
+
+  const starts = [{ time: 0 }];
+  for (const match of stderr.matchAll(/silence_end:\s*([\d.]+)/g)) {
+    starts.push({ time: parseFloat(match[1]) });
+  }
+  return starts.map((start, index) => ({ time: start.time, title: `Section ${index + 1}` }));
+}
+
+// Chapter starts from a labels file (SRT, WebVTT or JSON marks, as for --captions)
+function labelChapters(file) {
+  return loadCaptions(file).map(cue => ({ time: cue.start, title: cue.text.replace(/\n/g, " ") }));
+}
+
+// Chapter starts from a labels file when one is given, otherwise from options.from
+async function findChapterStarts(video, options = {}) {
+  if (options.labels) return labelChapters(options.labels);
+  if (options.from === "silence") return silenceChapters(video, options);
+  return pageTurnChapters(video);
+}
+
+// Turn chapter starts into a complete chapter list [{ start, end, title }] covering
+// 0..duration. The first chapter is moved to 0 and a chapter shorter than minLength
+// is merged into the one before it.
+function buildChapters(starts, duration, minLength = MIN_CHAPTER_LENGTH) {
+  const sorted = starts
+    .filter(start => start.time < duration)
+    .sort((a, b) => a.time - b.time);
+  if (sorted.length === 0) {
+    return [{ start: 0, end: duration, title: "Start" }];
+  }
+
+  const chapters = [{ start: 0, title: sorted[0].title }];
+  for (const start of sorted.slice(1)) {
+    if (start.time - chapters[chapters.length - 1].start < minLength) continue;
+    chapters.push({ start: start.time, title: start.title });
+  }
+  if (chapters.length > 1 && duration - chapters[chapters.length - 1].start < minLength) {
+    chapters.pop();
+  }
+
+  return chapters.map((chapter, index) => ({
+    ...chapter,
+    end: index < chapters.length - 1 ? chapters[index + 1].start : duration
+  }));
+}
+
+// Helper to format seconds the way YouTube descriptions expect (0:00, 4:05, 1:02:03)
+function formatChapterTime(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor(total / 60) % 60;
+  const s = String(total % 60).padStart(2, "0");
+  return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+// Write the chapter list as description-ready lines ("0:00 Title")
+async function writeChapterList(chapters, file) {
+  const lines = chapters.map(chapter => `${formatChapterTime(chapter.start)} ${chapter.title}`);
+  await writeOutputFile(file, `${lines.join("\n")}\n`);
+}
+
+// Helper to escape a value for an FFMETADATA file
+function escapeMetadata(value) {
+  return String(value).replace(/([=;#\\\n])/g, "\\$1");
+}
+
+// Write chapters as an FFMETADATA file for -map_chapters
+async function writeChapterMetadata(chapters, file) {
+  const blocks = chapters.map(chapter => [
+    "[CHAPTER]",
+    "TIMEBASE=1/1000",
+    `START=${Math.round(chapter.start * 1000)}`,
+    `END=${Math.round(chapter.end * 1000)}`,
+    `title=${escapeMetadata(chapter.title)}`
+  ].join("\n"));
+  await writeOutputFile(file, `;FFMETADATA1\n${blocks.join("\n")}\n`);
+}
+
+// Copy a video with chapters from an FFMETADATA file
+async function embedChapters(input, metadataFile, output) {
+  await runFfmpeg([
+    '-y', '-i', input, '-i', metadataFile,
+    '-map', '0', '-map_metadata', '0', '-map_chapters', '1',
+    '-c', 'copy',
+    output
+  ], "Writing chapter markers");
+}
+
+module.exports = {
+  CHAPTER_SOURCES,
+  DEFAULT_SILENCE_DURATION,
+  DEFAULT_SILENCE_NOISE,
+  MIN_CHAPTER_LENGTH,
+  buildChapters,
+  embedChapters,
+  findChapterStarts,
+  formatChapterTime,
+  labelChapters,
+  pageTurnChapters,
+  silenceChapters,
+  writeChapterList,
+  writeChapterMetadata
+};
@@ -0,0 +1,163 @@
+const { parseArgs } = require("util");
+
+// Exit codes shared by every command so shell scripts can chain them
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+// Error raised for bad command-line input (printed with the command's usage)
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+// Helper to parse a numeric option, rejecting anything that isn't a number
+function toNumber(value, name, { min, integer = false } = {}) {
+  if (value === undefined || value === null) return undefined;
+  const num = Number(value);
+  if (value === "" || !Number.isFinite(num) || (integer && !Number.isInteger(num))) {
+    throw new UsageError(`--${name} must be ${integer ? "an integer" : "a number"} (got "${value}")`);
+  }
+  if (min !== undefined && num < min) {
+    throw new UsageError(`--${name} must be at least ${min} (got ${num})`);
+  }
+  return num;
+}
+
+// Helper to check a string option against a list of allowed values
+function toChoice(value, name, choices) {
+  if (value === undefined) return undefined;
+  const match = choices.find(choice => choice.toLowerCase() === String(value).toLowerCase());
+  if (!match) {
+    throw new UsageError(`--${name} must be one of: ${choices.join(", ")} (got "${value}")`);
+  }
+  return match;
+}
+
+// Helper to parse a time option given in seconds or as [h:]mm:ss(.ms)
+function toSeconds(value, name, { min } = {}) {
+  if (value === undefined || value === null) return undefined;
+  const parts = String(value).trim().split(":");
+  if (parts.length > 3 || parts.some(part => part === "" || !Number.isFinite(Number(part)))) {
+    throw new UsageError(`--${name} must be a time in seconds or [h:]mm:ss (got "${value}")`);
+  }
+  const seconds = parts.reduce((total, part) => total * 60 + Number(part), 0);
+  if (min !== undefined && seconds < min) {
+    throw new UsageError(`--${name} must be at least ${min} (got ${seconds})`);
+  }
+  return seconds;
+}
+
+// Build the help text for a single command
+function formatHelp(command, prefix) {
+  const lines = [`Usage: ${prefix} ${command.usage || ""}`.trimEnd(), "", command.summary];
+  const options = { ...command.options, help: { type: "boolean", short: "h", description: "Show this help" } };
+
+  lines.push("", "Options:");
+  for (const [name, spec] of Object.entries(options)) {
+    const flag = `${spec.short ? `-${spec.short}, ` : "    "}--${name}${spec.type === "string" ? ` <${spec.placeholder || "value"}>` : ""}`;
+    const defaultText = spec.default !== undefined ? ` (default: ${spec.default})` : "";
+    lines.push(`  ${flag.padEnd(32)} ${spec.description || ""}${defaultText}`);
+  }
+  return lines.join("\n");
+}
+
+// Build the help text for a group of commands (the sfh entrypoint or `sfh audio`)
+function formatGroupHelp(group, prefix) {
+  const lines = [`Usage: ${prefix} <command> [options]`, "", "Commands:"];
+  for (const [name, entry] of Object.entries(group)) {
+    const summary = entry.summary || `Subcommands: ${Object.keys(entry).join(", ")}`;
+    lines.push(`  ${name.padEnd(16)} ${summary}`);
+  }
+  lines.push("", `Run '${prefix} <command> --help' for the options of a command.`);
+  return lines.join("\n");
+}
+
+// Parse argv against a command's option table
+function parseCommandArgs(command, argv) {
+  const options = { help: { type: "boolean", short: "h" } };
+  for (const [name, spec] of Object.entries(command.options || {})) {
+    options[name] = { type: spec.type };
+    if (spec.short) options[name].short = spec.short;
+    if (spec.multiple) options[name].multiple = true;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options, allowPositionals: true, strict: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  // Apply defaults ourselves so help text and behaviour share one source
+  for (const [name, spec] of Object.entries(command.options || {})) {
+    if (parsed.values[name] === undefined && spec.default !== undefined) {
+      parsed.values[name] = spec.default;
+    }
+  }
+  return parsed;
+}
+
+// Run a command with the given argv, setting the process exit code on failure
+async function runCommand(command, argv, prefix) {
+  let parsed;
+  try {
+    parsed = parseCommandArgs(command, argv);
+    if (parsed.values.help) {
+      console.log(formatHelp(command, prefix));
+      return;
+    }
+    const minPositionals = command.minPositionals || 0;
+    if (parsed.positionals.length < minPositionals) {
+      throw new UsageError("Missing required arguments");
+    }
+    await command.run(parsed.values, parsed.positionals);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`Error: ${error.message}\n`);
+      console.error(formatHelp(command, prefix));
+      process.exitCode = EXIT_USAGE;
+    } else {
+      console.error("Error during processing:", error.message);
+      process.exitCode = EXIT_FAILURE;
+    }
+  }
+}
+
+// Dispatch argv to a command inside a (possibly nested) group of commands
+async function runGroup(group, argv, prefix) {
+  const [name, ...rest] = argv;
+  if (!name || name === "--help" || name === "-h") {
+    console.log(formatGroupHelp(group, prefix));
+    if (!name) process.exitCode = EXIT_USAGE;
+    return;
+  }
+
+  const entry = group[name];
+  if (!entry) {
+    console.error(`Error: Unknown command '${name}'\n`);
+    console.error(formatGroupHelp(group, prefix));
+    process.exitCode = EXIT_USAGE;
+    return;
+  }
+
+  if (typeof entry.run === "function") {
+    await runCommand(entry, rest, `${prefix} ${name}`);
+  } else {
+    await runGroup(entry, rest, `${prefix} ${name}`);
+  }
+}
+
+module.exports = {
+  EXIT_FAILURE,
+  EXIT_USAGE,
+  UsageError,
+  formatHelp,
+  parseCommandArgs,
+  runCommand,
+  runGroup,
+  toChoice,
+  toNumber,
+  toSeconds
+};
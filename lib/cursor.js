@@ -0,0 +1,159 @@
+const { UsageError } = require("./cli");
+const { scanFrames } = require("./scoreAnalysis");
+
+// Frames per second sampled to locate the cursor, and the width they are scaled to
+const TRACKING_FPS = 5;
+const TRACKING_WIDTH = 640;
+// With no --cursor-color, pixels at least this saturated (max - min channel) count as highlight;
+// engraved music is black on white, so the playback overlay is the only color on the page
+const MIN_SATURATION = 90;
+// Distance in RGB space within which a pixel matches an explicit cursor color
+const COLOR_TOLERANCE = 60;
+// Fewest matching pixels for a frame to count as showing the cursor
+const MIN_CURSOR_PIXELS = 20;
+// A cursor move larger than this fraction of the width between samples is a page turn or repeat
+const JUMP_THRESHOLD = 0.25;
+// Length of the moving average that smooths the cursor path (seconds)
+const SMOOTHING_WINDOW = 1.2;
+
+// Helper to parse a #rrggbb / rrggbb color into [r, g, b]
+function parseHexColor(value, name = "cursor-color") {
+  const match = /^#?([0-9a-f]{6})$/i.exec(String(value));
+  if (!match) {
+    throw new UsageError(`--${name} must be a hex color such as #3a7bd5 (got "${value}")`);
+  }
+  const hex = parseInt(match[1], 16);
+  return [(hex >> 16) & 255, (hex >> 8) & 255, hex & 255];
+}
+
+// Locate the highlight in one rgb24 frame. Returns the median x of the matching
+// pixels as a fraction of the frame width, or null when too few pixels match.
+function detectCursor(frame, color) {
+  const { width, height, data } = frame;
+  const counts = new Uint32Array(width);
+  let total = 0;
+  const toleranceSquared = COLOR_TOLERANCE * COLOR_TOLERANCE;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 3;
+      const r = data[offset];
+      const g = data[offset + 1];
+      const b = data[offset + 2];
+      let match;
+      if (color) {
+        const dr = r - color[0];
+        const dg = g - color[1];
+        const db = b - color[2];
+        match = dr * dr + dg * dg + db * db <= toleranceSquared;
+      } else {
+        match = Math.max(r, g, b) - Math.min(r, g, b) >= MIN_SATURATION;
+      }
+      if (match) {
+        counts[x]++;
+        total++;
+      }
+    }
+  }
+
+  if (total < MIN_CURSOR_PIXELS) return null;
+  let seen = 0;
+  for (let x = 0; x < width; x++) {
+    seen += counts[x];
+    if (seen * 2 >= total) return (x + 0.5) / width;
+  }
+  return null;
+}
+
+// Fill frames where the cursor wasn't seen with the nearest detection before (or after) them
+function fillGaps(samples) {
+  let last = null;
+  for (const sample of samples) {
+    if (sample.x === null) sample.x = last;
+    else last = sample.x;
+  }
+  let next = null;
+  for (let i = samples.length - 1; i >= 0; i--) {
+    if (samples[i].x === null) samples[i].x = next;
+    else next = samples[i].x;
+  }
+}
+
+// Moving average over each run between jumps, so page turns stay hard cuts
+function smoothPath(samples, fps) {
+  const radius = Math.max(1, Math.round(SMOOTHING_WINDOW * fps / 2));
+  const segments = [];
+  let start = 0;
+  for (let i = 1; i <= samples.length; i++) {
+    if (i === samples.length || Math.abs(samples[i].x - samples[i - 1].x) > JUMP_THRESHOLD) {
+      segments.push([start, i]);
+      start = i;
+    }
+  }
+
+  const smoothed = samples.map(sample => ({ ...sample }));
+  for (const [from, to] of segments) {
+    for (let i = from; i < to; i++) {
+      let sum = 0;
+      let count = 0;
+      for (let j = Math.max(from, i - radius); j <= Math.min(to - 1, i + radius); j++) {
+        sum += samples[j].x;
+        count++;
+      }
+      smoothed[i].x = sum / count;
+    }
+  }
+  return smoothed;
+}
+
+// Follow the playback cursor/highlight through a video. options.color is an [r, g, b]
+// highlight color; without it any saturated color counts.
+// Resolves to { samples: [{ t, x }], detected } where x is the smoothed cursor position
+// as a fraction of the frame width and detected the number of frames it was found in.
+async function trackCursor(video, videoInfo, options = {}) {
+  const color = options.color || null;
+  const height = Math.max(2, Math.round(TRACKING_WIDTH * videoInfo.height / videoInfo.width / 2) * 2);
+  const samples = [];
+  let detected = 0;
+
+  await scanFrames(video, {
+    fps: TRACKING_FPS,
+    width: TRACKING_WIDTH,
+    height,
+    pixFmt: "rgb24",
+    step: "Tracking the playback cursor"
+  }, (frame, time) => {
+    const x = detectCursor(frame, color);
+    if (x !== null) detected++;
+    samples.push({ t: time, x });
+  });
+
+  if (detected === 0) {
+    throw new Error(`No playback cursor found in ${video}${color ? ` matching rgb(${color.join(", ")})` : ""}; try --cursor-color with the highlight's color or --pan smart`);
+  }
+
+  fillGaps(samples);
+  return { samples: smoothPath(samples, TRACKING_FPS), detected };
+}
+
+// Position of the cursor at time t, interpolated between samples
+function cursorAt(samples, t) {
+  if (t <= samples[0].t) return samples[0].x;
+  if (t >= samples[samples.length - 1].t) return samples[samples.length - 1].x;
+
+  // Binary search for the first sample after t
+  let low = 1;
+  let high = samples.length - 1;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (samples[middle].t > t) high = middle;
+    else low = middle + 1;
+  }
+  const from = samples[low - 1];
+  const to = samples[low];
+  // Don't glide across a page turn; jump at the sample where it happened
+  if (Math.abs(to.x - from.x) > JUMP_THRESHOLD) return from.x;
+  return from.x + (to.x - from.x) * (t - from.t) / (to.t - from.t);
+}
+
+module.exports = { MIN_SATURATION, TRACKING_FPS, cursorAt, detectCursor, parseHexColor, trackCursor };
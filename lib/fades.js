@@ -0,0 +1,37 @@
+// Fade shapes shared by afade's curve option: linear, quarter sine, exponential, logarithmic
+const FADE_CURVES = ["tri", "qsin", "exp", "log"];
+
+// Build the afade filters for a clip of the given length: options.fadeIn seconds from
+// options.start (default 0) and options.fadeOut seconds up to options.end (default the
+// clip's end), shaped by options.curve. Returns a list, empty when neither fade is set.
+function audioFadeFilters(duration, options = {}) {
+  const start = options.start || 0;
+  const end = options.end !== undefined ? options.end : duration;
+  const curve = options.curve && options.curve !== "tri" ? `:curve=${options.curve}` : "";
+  const filters = [];
+  if (options.fadeIn > 0) {
+    filters.push(`afade=t=in:st=${start.toFixed(3)}:d=${options.fadeIn}${curve}`);
+  }
+  if (options.fadeOut > 0) {
+    filters.push(`afade=t=out:st=${Math.max(0, end - options.fadeOut).toFixed(3)}:d=${options.fadeOut}${curve}`);
+  }
+  return filters;
+}
+
+// Build the matching fade filters for the picture: from options.color (default black) at the
+// start of the region and to it at the end. The fade filter is always linear.
+function videoFadeFilters(duration, options = {}) {
+  const start = options.start || 0;
+  const end = options.end !== undefined ? options.end : duration;
+  const color = options.color || "black";
+  const filters = [];
+  if (options.fadeIn > 0) {
+    filters.push(`fade=t=in:st=${start.toFixed(3)}:d=${options.fadeIn}:color=${color}`);
+  }
+  if (options.fadeOut > 0) {
+    filters.push(`fade=t=out:st=${Math.max(0, end - options.fadeOut).toFixed(3)}:d=${options.fadeOut}:color=${color}`);
+  }
+  return filters;
+}
+
+module.exports = { FADE_CURVES, audioFadeFilters, videoFadeFilters };
@@ -0,0 +1,257 @@
+const { spawn } = require("child_process");
+const fs = require("fs");
+
+// How much of a failed process's stderr to keep on the error object
+const STDERR_TAIL_LINES = 20;
+
+// In a dry run, ffmpeg commands that write files are printed instead of run; commands that
+// only read (probing, analysis piped back to us) still run so later steps can be planned.
+// plannedOutputs maps each file a printed command would have written to its arguments.
+let dryRun = false;
+const plannedOutputs = new Map();
+// Progress bars are turned off while several commands run at once (batch mode)
+let progressBars = true;
+
+// Helper function for logging with timestamps
+function logWithTimestamp(message) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`);
+}
+
+// Error raised for any failed ffmpeg/ffprobe invocation
+class FfmpegError extends Error {
+  constructor(step, command, details = {}) {
+    const reason = details.cause
+      ? details.cause.message
+      : `Process exited with code ${details.exitCode}`;
+    super(`Failed during: ${step}\nCommand: ${command}\nError: ${reason}`);
+    this.name = "FfmpegError";
+    this.step = step;
+    this.command = command;
+    this.exitCode = details.exitCode === undefined ? null : details.exitCode;
+    this.stderr = details.stderr || "";
+    if (details.cause) this.cause = details.cause;
+  }
+}
+
+// Quote an argument list for display (logs and error messages only, never executed)
+function formatCommand(command, args) {
+  const quoted = args.map(arg => {
+    const str = String(arg);
+    return /^[\w@%+=:,./-]+$/.test(str) ? str : `'${str.replace(/'/g, `'\\''`)}'`;
+  });
+  return [command, ...quoted].join(" ");
+}
+
+// Turn dry-run mode on or off for every command run through this module. The plan is kept
+// while the mode stays the same, since batch runs share it.
+function setDryRun(enabled) {
+  if (dryRun !== Boolean(enabled)) plannedOutputs.clear();
+  dryRun = Boolean(enabled);
+}
+
+// Turn the console progress bars of runFfmpegWithProgress on or off
+function setProgressBars(enabled) {
+  progressBars = Boolean(enabled);
+}
+
+// Whether commands are only being printed
+function isDryRun() {
+  return dryRun;
+}
+
+// Helper returning the file an ffmpeg argument list writes (its last argument), or null when
+// it writes to a pipe
+function outputFileOf(args) {
+  const last = String(args[args.length - 1]);
+  return last === "-" || last.startsWith("pipe:") ? null : last;
+}
+
+// Helper to print and record a command instead of running it; returns true when it did
+function planCommand(command, args, step) {
+  const output = command === "ffmpeg" ? outputFileOf(args) : null;
+  if (!dryRun || !output) return false;
+  plannedOutputs.set(output, args.map(String));
+  logWithTimestamp(`Dry run: ${step}`);
+  console.log(`  ${formatCommand(command, args)}`);
+  return true;
+}
+
+// Keep only the last lines of stderr so errors stay readable
+function tailLines(text, count) {
+  const lines = text.trimEnd().split("\n");
+  return lines.slice(-count).join("\n");
+}
+
+// Spawn a process from an argument array and collect its output.
+// Options: step (description used in errors), binary (return stdout as a Buffer),
+// onStdout/onStderr (streaming callbacks), discardStdout (don't keep stdout once
+// onStdout has seen it, for large raw video streams).
+function runProcess(command, args, options = {}) {
+  const step = options.step || command;
+  const display = formatCommand(command, args);
+  if (planCommand(command, args, step)) {
+    return Promise.resolve({ stdout: options.binary ? Buffer.alloc(0) : "", stderr: "" });
+  }
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args.map(String), { stdio: ["ignore", "pipe", "pipe"] });
+    const stdoutChunks = [];
+    let stderr = "";
+
+    child.stdout.on("data", (data) => {
+      if (!options.discardStdout) stdoutChunks.push(data);
+      if (options.onStdout) options.onStdout(data);
+    });
+    child.stderr.on("data", (data) => {
+      stderr += data.toString();
+      if (options.onStderr) options.onStderr(data);
+    });
+
+    child.on("error", (error) => {
+      reject(new FfmpegError(step, display, { cause: error, stderr }));
+    });
+
+    child.on("close", (code) => {
+      const stdoutBuffer = Buffer.concat(stdoutChunks);
+      const stdout = options.binary ? stdoutBuffer : stdoutBuffer.toString();
+      if (code === 0) {
+        resolve({ stdout, stderr });
+      } else {
+        reject(new FfmpegError(step, display, {
+          exitCode: code,
+          stderr: tailLines(stderr, STDERR_TAIL_LINES)
+        }));
+      }
+    });
+  });
+}
+
+// Helper function for executing FFmpeg commands with start/finish logging
+async function runFfmpeg(args, stepDescription, options = {}) {
+  if (planCommand("ffmpeg", ["-hide_banner", ...args], stepDescription)) return { stdout: "", stderr: "" };
+  logWithTimestamp(`Starting: ${stepDescription}`);
+  const result = await runProcess("ffmpeg", ["-hide_banner", ...args], { ...options, step: stepDescription });
+  logWithTimestamp(`Completed: ${stepDescription}`);
+  return result;
+}
+
+// Run FFmpeg with a console progress bar driven by -progress output
+async function runFfmpegWithProgress(args, duration, stepDescription) {
+  if (planCommand("ffmpeg", ["-hide_banner", ...args], stepDescription)) return;
+  let time = 0;
+
+  function handleProgressData(data) {
+    const lines = data.toString().split("\n");
+    for (const line of lines) {
+      if (line.startsWith("out_time_ms=")) {
+        time = parseFloat(line.split("=")[1]) / 1000000;
+      }
+    }
+    if (progressBars && duration > 0 && time > 0) {
+      const progress = Math.min(100, Math.round((time / duration) * 100));
+      process.stdout.write(`\rProgress: [${"=".repeat(Math.floor(progress / 2))}${" ".repeat(50 - Math.floor(progress / 2))}] ${progress}%`);
+    }
+  }
+
+  logWithTimestamp(`Starting: ${stepDescription}`);
+  try {
+    await runProcess("ffmpeg", ["-hide_banner", "-progress", "pipe:1", "-nostats", ...args], {
+      step: stepDescription,
+      onStdout: handleProgressData
+    });
+  } finally {
+    if (progressBars) process.stdout.write("\n");
+  }
+  logWithTimestamp(`Completed: ${stepDescription}`);
+}
+
+// Parse an ffprobe rational such as "30000/1001" into a number (null when undefined)
+function parseRational(value) {
+  if (!value || value === "0/0") return null;
+  const [num, den] = String(value).split("/").map(Number);
+  if (den === undefined) return Number.isFinite(num) ? num : null;
+  return den ? num / den : null;
+}
+
+// Parse a numeric ffprobe field (null when missing)
+function parseNumber(value) {
+  const num = parseFloat(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+// Probe a media file with a single ffprobe call.
+// Resolves to { width, height, sar, pixFmt, fps, timeBase: { num, den }, duration,
+// videoDuration, audioDuration, sampleRate, channels, channelLayout, hasAudio, streams,
+// format }; video/audio fields are null when the file has no stream of that kind.
+async function probe(file) {
+  if (dryRun && plannedOutputs.has(file)) return probePlanned(file);
+  const { stdout } = await runProcess("ffprobe", [
+    "-v", "error",
+    "-show_streams",
+    "-show_format",
+    "-of", "json",
+    file
+  ], { step: `Probing ${file}` });
+
+  const data = JSON.parse(stdout);
+  const streams = data.streams || [];
+  const format = data.format || {};
+  const video = streams.find(stream => stream.codec_type === "video");
+  const audio = streams.find(stream => stream.codec_type === "audio");
+
+  let timeBase = null;
+  if (video && video.time_base) {
+    const [num, den] = video.time_base.split("/").map(n => parseInt(n, 10));
+    timeBase = { num, den };
+  }
+
+  return {
+    width: video ? video.width : null,
+    height: video ? video.height : null,
+    sar: video ? parseRational((video.sample_aspect_ratio || "1:1").replace(":", "/")) || 1 : null,
+    pixFmt: video ? video.pix_fmt || null : null,
+    fps: video ? parseRational(video.avg_frame_rate) || parseRational(video.r_frame_rate) : null,
+    timeBase,
+    duration: parseNumber(format.duration),
+    videoDuration: video ? parseNumber(video.duration) : null,
+    audioDuration: audio ? parseNumber(audio.duration) : null,
+    sampleRate: audio ? parseInt(audio.sample_rate, 10) : null,
+    channels: audio ? audio.channels || null : null,
+    channelLayout: audio ? audio.channel_layout || null : null,
+    hasAudio: Boolean(audio),
+    streams,
+    format
+  };
+}
+
+// Stand in for probing a file a dry run only planned: it takes after the first file the
+// command reads, with the length set by the command's -t. That is enough for later steps
+// to plan around (durations, whether there is audio), not an exact description.
+async function probePlanned(file) {
+  const args = plannedOutputs.get(file);
+  const inputs = args.filter((arg, i) => args[i - 1] === "-i");
+  const source = inputs.find(input => plannedOutputs.has(input) || fs.existsSync(input));
+  const lengthIndex = args.lastIndexOf("-t");
+  const length = lengthIndex >= 0 ? parseNumber(args[lengthIndex + 1]) : null;
+  if (!source && length === null) {
+    throw new Error(`Dry run: can't tell what ${file} would contain, so the steps after it can't be planned`);
+  }
+
+  const info = source ? await probe(source) : { hasAudio: true, streams: [], format: {} };
+  if (length === null) return info;
+  return { ...info, duration: length, videoDuration: length, audioDuration: info.hasAudio ? length : null };
+}
+
+module.exports = {
+  FfmpegError,
+  formatCommand,
+  isDryRun,
+  logWithTimestamp,
+  probe,
+  runFfmpeg,
+  runFfmpegWithProgress,
+  runProcess,
+  setDryRun,
+  setProgressBars
+};
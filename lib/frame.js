@@ -0,0 +1,147 @@
+const fs = require("fs");
+const path = require("path");
+const { UsageError } = require("./cli");
+const { writeOutputFile } = require("./output");
+const { escapeFilterValue } = require("./titleCard");
+
+// Background fills behind the score: a blurred copy of the score itself or a solid color
+const FILL_MODES = ["blur", "color"];
+// Frame options a template file may set; command-line flags override them
+const FRAME_FIELDS = ["fill", "fillColor", "title", "composer", "footer", "progressBar", "progressColor", "textColor", "font"];
+
+// Band sizes as fractions of the canvas height
+const HEADER_HEIGHT = 0.12;
+const FOOTER_HEIGHT = 0.07;
+const PROGRESS_HEIGHT = 0.008;
+// Space kept around the score when there is no header or footer on that side
+const FRAME_MARGIN = 0.04;
+
+// Load a frame template (a JSON object with any of FRAME_FIELDS)
+function loadFrameTemplate(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new UsageError(`Could not read frame template ${file}: ${error.message}`);
+  }
+  const unknown = Object.keys(data).filter(key => !FRAME_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new UsageError(`Frame template ${file}: unknown field(s) ${unknown.join(", ")} (expected: ${FRAME_FIELDS.join(", ")})`);
+  }
+  if (data.fill !== undefined && !FILL_MODES.includes(data.fill)) {
+    throw new UsageError(`Frame template ${file}: fill must be one of: ${FILL_MODES.join(", ")}`);
+  }
+  return data;
+}
+
+// Merge a template with command-line options; returns null when no framing was asked for
+function resolveFrame(template, options) {
+  const frame = { ...(template || {}) };
+  for (const field of FRAME_FIELDS) {
+    if (options[field] !== undefined) frame[field] = options[field];
+  }
+  const wanted = frame.fill || frame.fillColor || frame.title || frame.composer || frame.footer || frame.progressBar;
+  if (!wanted) return null;
+
+  return {
+    fill: frame.fill || (frame.fillColor ? "color" : "blur"),
+    fillColor: frame.fillColor || "black",
+    title: frame.title || null,
+    composer: frame.composer || null,
+    footer: frame.footer || null,
+    progressBar: Boolean(frame.progressBar),
+    progressColor: frame.progressColor || "white",
+    textColor: frame.textColor || "white",
+    font: frame.font || null
+  };
+}
+
+// Helper to round a size down to an even number
+function floorEven(value) {
+  return Math.floor(value / 2) * 2;
+}
+
+// Work out where the score sits on the canvas: the content area's top and contentHeight plus
+// the header, footer and progress bar heights
+function frameLayout(frame, width, height) {
+  const header = frame.title || frame.composer ? floorEven(height * HEADER_HEIGHT) : 0;
+  const footer = frame.footer ? floorEven(height * FOOTER_HEIGHT) : 0;
+  const progress = frame.progressBar ? Math.max(2, floorEven(height * PROGRESS_HEIGHT)) : 0;
+  const margin = floorEven(height * FRAME_MARGIN);
+
+  const top = header || margin;
+  const bottom = (footer || margin) + progress;
+  return { width, height, top, contentHeight: floorEven(height - top - bottom), header, footer, progress };
+}
+
+// Build the filtergraph that places the score stream [input] on the branded canvas and
+// labels the result [output]. Text is written to files in workDir and drawn from there.
+// duration is the output length, for the progress bar.
+async function frameFilterGraph(input, output, frame, layout, options) {
+  const { width, height } = layout;
+  const { fps, duration, workDir } = options;
+  const filters = [];
+
+  if (frame.fill === "blur") {
+    filters.push(
+      `[${input}]split[frame_fg][frame_src]`,
+      `[frame_src]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},boxblur=luma_radius=40:luma_power=2,eq=brightness=-0.15,setsar=1[frame_bg]`
+    );
+  } else {
+    filters.push(
+      `[${input}]null[frame_fg]`,
+      `color=c=${frame.fillColor}:s=${width}x${height}:r=${fps}:d=${duration.toFixed(3)}[frame_bg]`
+    );
+  }
+  let current = "frame_framed";
+  filters.push(`[frame_bg][frame_fg]overlay=(W-w)/2:${layout.top}:shortest=1,setsar=1[${current}]`);
+
+  // Header and footer text, centered in their bands
+  const lines = [];
+  if (frame.title && frame.composer) {
+    lines.push({ text: frame.title, size: layout.header * 0.34, y: layout.header * 0.2 });
+    lines.push({ text: frame.composer, size: layout.header * 0.2, y: layout.header * 0.62 });
+  } else if (frame.title || frame.composer) {
+    lines.push({ text: frame.title || frame.composer, size: layout.header * 0.36, y: layout.header * 0.32 });
+  }
+  if (frame.footer) {
+    const footerTop = height - layout.progress - layout.footer;
+    lines.push({ text: frame.footer, size: layout.footer * 0.4, y: footerTop + layout.footer * 0.3 });
+  }
+
+  const textFilters = [];
+  for (let i = 0; i < lines.length; i++) {
+    const textFile = path.join(workDir, `frame_text_${i}.txt`);
+    await writeOutputFile(textFile, String(lines[i].text));
+    const fontArgs = frame.font ? `:fontfile='${escapeFilterValue(frame.font)}'` : "";
+    textFilters.push(
+      `drawtext=textfile='${escapeFilterValue(textFile)}'${fontArgs}:expansion=none` +
+      `:fontcolor=${frame.textColor}:fontsize=${Math.round(lines[i].size)}` +
+      `:x=(w-text_w)/2:y=${Math.round(lines[i].y)}`
+    );
+  }
+  if (textFilters.length > 0) {
+    filters.push(`[${current}]${textFilters.join(",")}[frame_text]`);
+    current = "frame_text";
+  }
+
+  // Progress bar: a bar the width of the canvas sliding in from the left over the whole video
+  if (frame.progressBar) {
+    filters.push(
+      `color=c=${frame.progressColor}:s=${width}x${layout.progress}:r=${fps}[frame_bar]`,
+      `[${current}][frame_bar]overlay=x='-w+w*t/${duration.toFixed(3)}':y=${height - layout.progress}:shortest=1[frame_progress]`
+    );
+    current = "frame_progress";
+  }
+
+  filters.push(`[${current}]fps=${fps},format=yuv420p[${output}]`);
+  return filters.join(";");
+}
+
+module.exports = {
+  FILL_MODES,
+  frameFilterGraph,
+  frameLayout,
+  loadFrameTemplate,
+  resolveFrame
+};
@@ -0,0 +1,155 @@
+const { runProcess } = require("./ffmpeg");
+
+// Audio is analyzed as mono at this sample rate, in frames of this many samples (~46ms)
+const ANALYSIS_SAMPLE_RATE = 11025;
+const ANALYSIS_FRAME = 512;
+// A frame this much louder than the one before it (dB) counts as a note onset
+const ONSET_RISE = 4;
+// Frames quieter than this (dBFS) never count as onsets, so noise in rests is ignored
+const ONSET_FLOOR = -50;
+// Shortest gap between two onsets (seconds)
+const ONSET_GAP = 0.08;
+// How much each feature counts towards a window's score
+const SCORE_WEIGHTS = { energy: 0.45, onsets: 0.35, pages: 0.2 };
+// How far (as a fraction of the requested length) a window's end may move to land on a page turn
+const SNAP_TOLERANCE = 0.2;
+
+// Measure loudness and note onsets for every second of a video's audio.
+// Resolves to { energy, onsets }: per-second mean RMS level (0..1) and onset count.
+async function analyzeAudio(video, duration) {
+  const seconds = Math.max(1, Math.ceil(duration));
+  const energy = new Float64Array(seconds);
+  const onsets = new Float64Array(seconds);
+  const frameCounts = new Float64Array(seconds);
+  let pending = Buffer.alloc(0);
+  let frameIndex = 0;
+  let previousDb = -Infinity;
+  let lastOnset = -Infinity;
+
+  function handleFrame(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+    const rms = Math.sqrt(sum / samples.length);
+    const db = rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+    const time = frameIndex * ANALYSIS_FRAME / ANALYSIS_SAMPLE_RATE;
+    const second = Math.min(seconds - 1, Math.floor(time));
+
+    energy[second] += rms;
+    frameCounts[second]++;
+    if (db > ONSET_FLOOR && db - previousDb >= ONSET_RISE && time - lastOnset >= ONSET_GAP) {
+      onsets[second]++;
+      lastOnset = time;
+    }
+    previousDb = db;
+    frameIndex++;
+  }
+
+  const frameBytes = ANALYSIS_FRAME * 4;
+  await runProcess("ffmpeg", [
+    "-hide_banner", "-loglevel", "error", "-i", video,
+    "-vn", "-ac", "1", "-ar", ANALYSIS_SAMPLE_RATE,
+    "-f", "f32le", "-"
+  ], {
+    step: "Analyzing audio energy and onsets",
+    discardStdout: true,
+    onStdout(data) {
+      pending = pending.length > 0 ? Buffer.concat([pending, data]) : data;
+      let offset = 0;
+      while (pending.length - offset >= frameBytes) {
+        // Copy out so the floats are aligned whatever the chunk's offset
+        const frame = new Float32Array(pending.buffer.slice(pending.byteOffset + offset, pending.byteOffset + offset + frameBytes));
+        handleFrame(frame);
+        offset += frameBytes;
+      }
+      pending = pending.subarray(offset);
+    }
+  });
+
+  for (let i = 0; i < seconds; i++) {
+    if (frameCounts[i] > 0) energy[i] /= frameCounts[i];
+  }
+  return { energy, onsets };
+}
+
+// Helper to sum per-second values over [start, end), counting partial seconds proportionally
+function sumRange(prefix, values, start, end) {
+  const first = Math.floor(start);
+  const last = Math.min(values.length, Math.floor(end));
+  if (first >= values.length) return 0;
+  if (first === last) return values[first] * (end - start);
+  let total = prefix[last] - prefix[first + 1] + values[first] * (first + 1 - start);
+  if (last < values.length) total += values[last] * (end - last);
+  return total;
+}
+
+// Helper building prefix sums of a per-second series
+function prefixSums(values) {
+  const prefix = new Float64Array(values.length + 1);
+  for (let i = 0; i < values.length; i++) prefix[i + 1] = prefix[i] + values[i];
+  return prefix;
+}
+
+// Score every window of the requested length that starts on a page turn.
+// features is the analyzeAudio result, pageTurns the page start times (seconds).
+// A window's end snaps to a nearby page turn (or the end of the video) when there is one.
+// Returns candidates [{ start, end, score, energy, onsets, pages }] with the best first;
+// energy, onsets and pages are per-second averages and score combines them (0..1).
+function scoreWindows(features, pageTurns, length, duration) {
+  const turns = [...new Set([0, ...pageTurns])].filter(time => time < duration).sort((a, b) => a - b);
+  const boundaries = [...turns, duration];
+  const energyPrefix = prefixSums(features.energy);
+  const onsetPrefix = prefixSums(features.onsets);
+  const tolerance = length * SNAP_TOLERANCE;
+
+  const candidates = [];
+  for (const start of turns) {
+    const wantedEnd = start + length;
+    if (wantedEnd > duration + tolerance) break;
+
+    let end = Math.min(wantedEnd, duration);
+    let bestDistance = tolerance;
+    for (const boundary of boundaries) {
+      const distance = Math.abs(boundary - wantedEnd);
+      if (boundary > start && distance <= bestDistance) {
+        end = boundary;
+        bestDistance = distance;
+      }
+    }
+
+    const span = end - start;
+    candidates.push({
+      start,
+      end,
+      energy: sumRange(energyPrefix, features.energy, start, end) / span,
+      onsets: sumRange(onsetPrefix, features.onsets, start, end) / span,
+      pages: boundaries.filter(time => time > start && time < end).length / span
+    });
+  }
+
+  // Each feature is scaled by its best value so the weights compare like with like
+  const maxima = {};
+  for (const feature of Object.keys(SCORE_WEIGHTS)) {
+    maxima[feature] = Math.max(...candidates.map(candidate => candidate[feature]), 0);
+  }
+  for (const candidate of candidates) {
+    candidate.score = Object.entries(SCORE_WEIGHTS).reduce((total, [feature, weight]) =>
+      total + (maxima[feature] > 0 ? weight * candidate[feature] / maxima[feature] : 0), 0);
+  }
+  return candidates.sort((a, b) => b.score - a.score);
+}
+
+// Pick up to count of the best candidates, skipping any that mostly overlap a better one
+function pickHighlights(candidates, count) {
+  const picked = [];
+  for (const candidate of candidates) {
+    if (picked.length >= count) break;
+    const overlaps = picked.some(other => {
+      const overlap = Math.min(other.end, candidate.end) - Math.max(other.start, candidate.start);
+      return overlap > (candidate.end - candidate.start) / 2;
+    });
+    if (!overlaps) picked.push(candidate);
+  }
+  return picked;
+}
+
+module.exports = { analyzeAudio, pickHighlights, scoreWindows };
@@ -0,0 +1,124 @@
+const path = require("path");
+const { UsageError } = require("./cli");
+const { isDryRun, logWithTimestamp, probe, runFfmpeg } = require("./ffmpeg");
+
+// Named integrated loudness targets (LUFS) accepted wherever a target is asked for
+const LOUDNESS_PRESETS = {
+  social: -14,
+  web: -16,
+  broadcast: -23
+};
+const DEFAULT_TRUE_PEAK = -1;
+const DEFAULT_LRA = 11;
+
+// Helper to turn "social", "web" or a number like "-14" into a LUFS target
+function parseLoudnessTarget(value, name = "loudness") {
+  if (value === undefined || value === null) return undefined;
+  const preset = LOUDNESS_PRESETS[String(value).toLowerCase()];
+  if (preset !== undefined) return preset;
+
+  const num = Number(value);
+  if (value === "" || !Number.isFinite(num) || num > -5 || num < -70) {
+    throw new UsageError(`--${name} must be ${Object.keys(LOUDNESS_PRESETS).join(", ")} or a LUFS value between -70 and -5 (got "${value}")`);
+  }
+  return num;
+}
+
+// Helper to pull the JSON block loudnorm prints at the end of stderr
+function parseLoudnormJson(stderr) {
+  const start = stderr.lastIndexOf("{");
+  const end = stderr.lastIndexOf("}");
+  if (start === -1 || end < start) {
+    throw new Error("Could not find loudnorm measurements in ffmpeg output");
+  }
+  return JSON.parse(stderr.slice(start, end + 1));
+}
+
+// Measure a file's loudness with a loudnorm analysis pass.
+// Resolves to { integrated, truePeak, lra, threshold, offset } plus the raw loudnorm fields.
+async function measureLoudness(file, options = {}) {
+  const target = options.target !== undefined ? options.target : LOUDNESS_PRESETS.social;
+  const truePeak = options.truePeak !== undefined ? options.truePeak : DEFAULT_TRUE_PEAK;
+  const lra = options.lra !== undefined ? options.lra : DEFAULT_LRA;
+
+  const { stderr } = await runFfmpeg([
+    '-nostats', '-i', file,
+    '-map', '0:a:0',
+    '-af', `loudnorm=I=${target}:TP=${truePeak}:LRA=${lra}:print_format=json`,
+    '-f', 'null', '-'
+  ], `Measuring loudness of ${path.basename(file)}`);
+
+  const raw = parseLoudnormJson(stderr);
+  return {
+    integrated: parseFloat(raw.input_i),
+    truePeak: parseFloat(raw.input_tp),
+    lra: parseFloat(raw.input_lra),
+    threshold: parseFloat(raw.input_thresh),
+    offset: parseFloat(raw.target_offset),
+    raw
+  };
+}
+
+// Build the second-pass loudnorm filter from a measurement. loudnorm resamples to
+// 192 kHz internally, so callers must follow it with aresample.
+function loudnormFilter(measured, options = {}) {
+  const target = options.target !== undefined ? options.target : LOUDNESS_PRESETS.social;
+  const truePeak = options.truePeak !== undefined ? options.truePeak : DEFAULT_TRUE_PEAK;
+  const lra = options.lra !== undefined ? options.lra : DEFAULT_LRA;
+  return `loudnorm=I=${target}:TP=${truePeak}:LRA=${lra}` +
+    `:measured_I=${measured.raw.input_i}:measured_TP=${measured.raw.input_tp}` +
+    `:measured_LRA=${measured.raw.input_lra}:measured_thresh=${measured.raw.input_thresh}` +
+    `:offset=${measured.raw.target_offset}:linear=true`;
+}
+
+// Log a measurement in a consistent format
+function logLoudness(label, measured) {
+  logWithTimestamp(`${label}: integrated ${measured.integrated.toFixed(1)} LUFS, true peak ${measured.truePeak.toFixed(1)} dBTP, LRA ${measured.lra.toFixed(1)} LU`);
+}
+
+// Helper to pick an audio encoder that suits the output container
+function audioEncoderArgs(outputFile) {
+  const ext = path.extname(outputFile).toLowerCase();
+  if (ext === ".mp3") return ['-c:a', 'libmp3lame', '-b:a', '320k'];
+  if (ext === ".wav") return ['-c:a', 'pcm_s16le'];
+  if (ext === ".flac") return ['-c:a', 'flac'];
+  return ['-c:a', 'aac', '-b:a', '192k'];
+}
+
+// Two-pass EBU R128 normalization of a file's audio; video (if any) is stream-copied.
+// Resolves to { before, after } measurements (after is null in a dry run, with nothing to measure).
+async function normalizeLoudness(input, output, options = {}) {
+  const info = await probe(input);
+  if (!info.hasAudio) {
+    throw new Error(`${input} has no audio track to normalize`);
+  }
+
+  const before = await measureLoudness(input, options);
+  logLoudness("Before", before);
+
+  const videoArgs = info.width ? ['-map', '0:v:0', '-c:v', 'copy'] : [];
+  await runFfmpeg([
+    '-y', '-i', input,
+    ...videoArgs,
+    '-map', '0:a:0',
+    '-af', `${loudnormFilter(before, options)},aresample=${info.sampleRate}`,
+    ...audioEncoderArgs(output),
+    output
+  ], `Normalizing loudness to ${options.target !== undefined ? options.target : LOUDNESS_PRESETS.social} LUFS`);
+
+  if (isDryRun()) return { before, after: null };
+  const after = await measureLoudness(output, options);
+  logLoudness("After", after);
+  return { before, after };
+}
+
+module.exports = {
+  DEFAULT_LRA,
+  DEFAULT_TRUE_PEAK,
+  LOUDNESS_PRESETS,
+  logLoudness,
+  loudnormFilter,
+  measureLoudness,
+  normalizeLoudness,
+  parseLoudnessTarget
+};
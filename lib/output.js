@@ -0,0 +1,102 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { isDryRun, logWithTimestamp } = require("./ffmpeg");
+
+// Options shared by the tools that write outputs
+const OUTPUT_OPTIONS = {
+  force: { type: "boolean", description: "Overwrite existing outputs instead of writing the next free name (name-2, name-3, ...)" },
+  "dry-run": { type: "boolean", description: "Print the ffmpeg commands and output paths without writing anything" }
+};
+
+// Helper naming an output after its input, in the current directory:
+// ("scores/piece.mov", "_faded.mp4") -> "piece_faded.mp4"
+function outputName(input, suffix) {
+  return `${path.basename(input, path.extname(input))}${suffix}`;
+}
+
+// Paths already handed out in this process, so runs side by side (batch mode) never share
+// an output even before either has written it
+const claimedOutputs = new Set();
+
+// Helper naming a file that goes with an output (its chapter list, say) beside it:
+// ("out/piece_fms.mp4", "_chapters.txt") -> "out/piece_fms_chapters.txt"
+function companionName(file, suffix) {
+  return path.join(path.dirname(file), outputName(file, suffix));
+}
+
+// Helper choosing where an output goes: the path itself when it is free or force is set,
+// otherwise the first free name-2, name-3, ... beside it. Works for files and directories.
+// Companion suffixes are checked with it, so an output and its companions keep one name.
+function claimOutput(file, force, companions = []) {
+  const busy = candidate => claimedOutputs.has(path.resolve(candidate)) || (!force && fs.existsSync(candidate));
+  const taken = candidate => busy(candidate) || companions.some(suffix => busy(companionName(candidate, suffix)));
+  let free = file;
+  if (taken(file)) {
+    const blocker = [file, ...companions.map(suffix => companionName(file, suffix))].find(busy);
+    const ext = path.extname(file);
+    const stem = file.slice(0, file.length - ext.length);
+    let version = 2;
+    while (taken(`${stem}-${version}${ext}`)) version++;
+    free = `${stem}-${version}${ext}`;
+    logWithTimestamp(`${blocker} ${force ? "is being written by another input" : "already exists"}; writing ${free} instead${force ? "" : " (use --force to overwrite it)"}`);
+  }
+  for (const claimed of [free, ...companions.map(suffix => companionName(free, suffix))]) {
+    claimedOutputs.add(path.resolve(claimed));
+  }
+  return free;
+}
+
+// Function to claim an output directory (with any companion files named after it) and create
+// it empty; an existing directory is only replaced with force. Resolves to the directory used.
+async function prepareOutputDir(dir, force, companions = []) {
+  const target = claimOutput(dir, force, companions);
+  const exists = fs.existsSync(target);
+  if (isDryRun()) {
+    logWithTimestamp(`Dry run: would ${exists ? "replace" : "create"} the ${target} directory`);
+    return target;
+  }
+  if (exists) {
+    logWithTimestamp(`Replacing existing ${target} directory`);
+    await fs.promises.rm(target, { recursive: true, force: true });
+  }
+  logWithTimestamp(`Creating new ${target} directory`);
+  await fs.promises.mkdir(target, { recursive: true });
+  return target;
+}
+
+// Function to create a fresh directory for intermediate files under the system temp directory.
+// A dry run only names one, since its commands are printed and never run. Resolves to the path.
+async function makeTempDir(prefix) {
+  if (isDryRun()) return path.join(os.tmpdir(), `${prefix}XXXXXX`);
+  return fs.promises.mkdtemp(path.join(os.tmpdir(), prefix));
+}
+
+// Function to remove a directory made by makeTempDir; a dry run has nothing to remove
+async function removeTempDir(dir) {
+  if (isDryRun()) return;
+  await fs.promises.rm(dir, { recursive: true, force: true });
+}
+
+// Function to write a text output (lists, manifests, subtitles, drawtext labels); a dry run skips it
+async function writeOutputFile(file, content) {
+  if (isDryRun()) return;
+  await fs.promises.writeFile(file, content);
+}
+
+// Log where an output was saved, or where a dry run would have saved it
+function logOutput(label, file) {
+  logWithTimestamp(isDryRun() ? `Dry run: ${label} would be saved as: ${file}` : `${label} saved as: ${file}`);
+}
+
+module.exports = {
+  OUTPUT_OPTIONS,
+  claimOutput,
+  companionName,
+  logOutput,
+  makeTempDir,
+  outputName,
+  prepareOutputDir,
+  removeTempDir,
+  writeOutputFile
+};
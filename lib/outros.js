@@ -0,0 +1,110 @@
+const fs = require("fs");
+const path = require("path");
+const { probe } = require("./ffmpeg");
+
+// Default registry shipped next to the outro files
+const DEFAULT_REGISTRY = path.join(__dirname, "..", "outros", "outros.json");
+
+// Declared frame size of each outro variant
+const VARIANTS = {
+  "1080p": { key: "path1080p", width: 1920, height: 1080 },
+  "4k": { key: "path4k", width: 3840, height: 2160 }
+};
+
+// Load the outro registry; file paths inside it are resolved against the registry's directory
+function loadRegistry(registryFile = DEFAULT_REGISTRY) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(registryFile, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read outro registry ${registryFile}: ${error.message}`);
+  }
+
+  const baseDir = path.dirname(registryFile);
+  const outros = (data.outros || []).map((entry, index) => {
+    if (!entry.name || !entry.path1080p || !entry.path4k) {
+      throw new Error(`Outro registry ${registryFile}: entry ${index + 1} needs name, path1080p and path4k`);
+    }
+    return {
+      name: entry.name,
+      aliases: entry.aliases || [],
+      path1080p: path.resolve(baseDir, entry.path1080p),
+      path4k: path.resolve(baseDir, entry.path4k),
+      suffix: entry.suffix || `_${entry.name}`,
+      fps: entry.fps || null,
+      sampleRate: entry.sampleRate || null
+    };
+  });
+
+  return { file: registryFile, outros };
+}
+
+// Find an outro by name or alias (case-insensitive)
+function findOutro(registry, name) {
+  const wanted = String(name).toLowerCase();
+  return registry.outros.find(outro =>
+    outro.name.toLowerCase() === wanted ||
+    outro.aliases.some(alias => alias.toLowerCase() === wanted)
+  );
+}
+
+// Check that an outro's files exist and match their declared resolution, fps and sample rate.
+// Resolves to a list of problems (empty when the outro is usable).
+async function validateOutro(outro) {
+  const problems = [];
+
+  for (const [variant, spec] of Object.entries(VARIANTS)) {
+    const file = outro[spec.key];
+    if (!fs.existsSync(file)) {
+      problems.push(`${variant} file not found: ${file}`);
+      continue;
+    }
+
+    const info = await probe(file);
+    if (info.width !== spec.width || info.height !== spec.height) {
+      problems.push(`${variant} file is ${info.width}x${info.height}, expected ${spec.width}x${spec.height}: ${file}`);
+    }
+    if (outro.fps && (!info.fps || Math.abs(info.fps - outro.fps) > 0.01)) {
+      problems.push(`${variant} file runs at ${info.fps} fps, expected ${outro.fps}: ${file}`);
+    }
+    if (outro.sampleRate && info.sampleRate !== outro.sampleRate) {
+      problems.push(`${variant} file has sample rate ${info.sampleRate}, expected ${outro.sampleRate}: ${file}`);
+    }
+  }
+
+  return problems;
+}
+
+// Add or replace an outro entry in the registry file
+async function registerOutro(registryFile, entry) {
+  const data = fs.existsSync(registryFile)
+    ? JSON.parse(await fs.promises.readFile(registryFile, "utf8"))
+    : { outros: [] };
+  const baseDir = path.dirname(registryFile);
+  data.outros = data.outros || [];
+
+  // Keep any fields (aliases, fps...) of an entry being replaced
+  const index = data.outros.findIndex(existing => existing.name === entry.name);
+  const stored = {
+    ...(index >= 0 ? data.outros[index] : {}),
+    ...entry,
+    path1080p: path.relative(baseDir, path.resolve(entry.path1080p)),
+    path4k: path.relative(baseDir, path.resolve(entry.path4k))
+  };
+
+  if (index >= 0) {
+    data.outros[index] = stored;
+  } else {
+    data.outros.push(stored);
+  }
+  await fs.promises.writeFile(registryFile, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+module.exports = {
+  DEFAULT_REGISTRY,
+  VARIANTS,
+  findOutro,
+  loadRegistry,
+  registerOutro,
+  validateOutro
+};
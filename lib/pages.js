@@ -0,0 +1,150 @@
+const { logWithTimestamp, probe, runProcess } = require("./ffmpeg");
+const { MIN_SATURATION } = require("./cursor");
+const { SAME_PAGE_DISTANCE, differenceHash, hammingDistance } = require("./phash");
+const { scanFrames } = require("./scoreAnalysis");
+
+// Frames per second sampled to find pages, and the width they are scaled to
+const PAGE_SAMPLE_FPS = 4;
+const PAGE_SAMPLE_WIDTH = 192;
+// How long (seconds) the picture must hold still to count as a page
+const DEFAULT_MIN_DWELL = 0.75;
+// A video is animated when more than this fraction of it isn't a held page...
+const ANIMATED_FRACTION = 0.35;
+// ...or when it turns more pages per minute than any performer could
+const MAX_PAGES_PER_MINUTE = 40;
+
+// Helper to turn an rgb24 frame into gray with colored pixels (the playback cursor or
+// highlight) painted over in the paper's tone, so a moving cursor doesn't change the hash
+function paperGray(frame) {
+  const { width, height, data } = frame;
+  const gray = new Uint8Array(width * height);
+  const colored = new Uint8Array(width * height);
+  let paperSum = 0;
+  let paperCount = 0;
+  for (let i = 0; i < width * height; i++) {
+    const r = data[i * 3];
+    const g = data[i * 3 + 1];
+    const b = data[i * 3 + 2];
+    gray[i] = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+    if (Math.max(r, g, b) - Math.min(r, g, b) >= MIN_SATURATION) {
+      colored[i] = 1;
+    } else {
+      paperSum += gray[i];
+      paperCount++;
+    }
+  }
+  const paper = paperCount > 0 && paperSum / paperCount < 128 ? 0 : 255;
+  for (let i = 0; i < width * height; i++) {
+    if (colored[i]) gray[i] = paper;
+  }
+  return { width, height, data: gray };
+}
+
+// Group hashed samples into runs of frames that look the same as the run's first frame.
+// Returns [{ start, end, hash }] with end the time just after the run's last sample.
+function groupRuns(samples, maxDistance) {
+  const runs = [];
+  for (const sample of samples) {
+    const run = runs[runs.length - 1];
+    if (run && hammingDistance(run.hash, sample.hash) <= maxDistance) {
+      run.end = sample.time + 1 / PAGE_SAMPLE_FPS;
+    } else {
+      runs.push({ start: sample.time, end: sample.time + 1 / PAGE_SAMPLE_FPS, hash: sample.hash });
+    }
+  }
+  return runs;
+}
+
+// Find the pages of a score video: stretches where the picture (ignoring the playback cursor)
+// holds still for at least options.minDwell seconds. Pages tile the whole video, so the
+// frames of a page turn count towards the page before it.
+// Resolves to { pages: [{ start, end, stableStart, stableEnd, hash }], animated, heldFraction,
+// duration }: stableStart/stableEnd bound the page's still stretch, animated says the video
+// doesn't look like a score video and heldFraction how much of it is held pages.
+async function detectPages(video, options = {}) {
+  const minDwell = options.minDwell || DEFAULT_MIN_DWELL;
+  const maxDistance = options.threshold !== undefined ? options.threshold : SAME_PAGE_DISTANCE;
+  const info = await probe(video);
+  const duration = info.videoDuration || info.duration;
+  const height = Math.max(2, Math.round(PAGE_SAMPLE_WIDTH * info.height / info.width / 2) * 2);
+
+  const samples = [];
+  await scanFrames(video, {
+    fps: PAGE_SAMPLE_FPS,
+    width: PAGE_SAMPLE_WIDTH,
+    height,
+    pixFmt: "rgb24",
+    step: `Detecting pages in ${video}`
+  }, (frame, time) => {
+    samples.push({ time, hash: differenceHash(paperGray(frame)) });
+  });
+  if (samples.length === 0) {
+    throw new Error(`No frames could be read from ${video}`);
+  }
+
+  // Held runs become pages; a run that shows the page before it again (the picture
+  // flickered) just extends that page
+  const pages = [];
+  let held = 0;
+  for (const run of groupRuns(samples, maxDistance)) {
+    if (run.end - run.start < minDwell) continue;
+    held += run.end - run.start;
+    const previous = pages[pages.length - 1];
+    if (previous && hammingDistance(previous.hash, run.hash) <= maxDistance) {
+      previous.stableEnd = run.end;
+    } else {
+      pages.push({ start: run.start, stableStart: run.start, stableEnd: run.end, hash: run.hash });
+    }
+  }
+
+  const end = duration || samples[samples.length - 1].time + 1 / PAGE_SAMPLE_FPS;
+  if (pages.length === 0) {
+    pages.push({ start: 0, stableStart: 0, stableEnd: end, hash: samples[0].hash });
+  }
+  pages[0].start = 0;
+  pages.forEach((page, index) => {
+    page.end = index < pages.length - 1 ? pages[index + 1].start : end;
+  });
+
+  const heldFraction = Math.min(1, held / end);
+  const animated = heldFraction < 1 - ANIMATED_FRACTION || pages.length / (end / 60) > MAX_PAGES_PER_MINUTE;
+  return { pages, animated, heldFraction, duration: end };
+}
+
+// Stop with a clear message when detectPages found an animated video, unless allowAnimation
+// is set, in which case only the held pages are used
+function checkAnimation(result, video, allowAnimation) {
+  if (!result.animated) return;
+  const held = `only ${Math.round(result.heldFraction * 100)}% of it holds still`;
+  const kept = `${result.pages.length} still ${result.pages.length === 1 ? "stretch" : "stretches"}`;
+  if (!allowAnimation) {
+    throw new Error(`${video} looks animated (${held}), so its frames aren't score pages. Use --allow-animation to keep just the ${kept} found.`);
+  }
+  logWithTimestamp(`${video} looks animated (${held}); keeping the ${kept} found`);
+}
+
+// Save one image of a page, taken from the middle of its still stretch. outputArgs are extra
+// ffmpeg output options (scaling, quality) and step describes it in the log.
+async function extractPageImage(video, page, file, outputArgs, step) {
+  const time = (page.stableStart + page.stableEnd) / 2;
+  await runProcess("ffmpeg", [
+    "-hide_banner", "-loglevel", "error", "-y",
+    "-ss", time.toFixed(3), "-i", video,
+    "-frames:v", "1", ...outputArgs, file
+  ], { step });
+}
+
+// Save one image of each page. fileFor(index) gives the output path of page index and
+// outputArgs are extra ffmpeg output options; resolves to the paths written.
+async function extractPageImages(video, pages, fileFor, outputArgs = []) {
+  logWithTimestamp(`Saving ${pages.length} page ${pages.length === 1 ? "image" : "images"}`);
+  const files = [];
+  for (let i = 0; i < pages.length; i++) {
+    const file = fileFor(i);
+    await extractPageImage(video, pages[i], file, outputArgs, `Saving page ${i + 1} of ${video}`);
+    files.push(file);
+  }
+  return files;
+}
+
+module.exports = { DEFAULT_MIN_DWELL, checkAnimation, detectPages, extractPageImage, extractPageImages };
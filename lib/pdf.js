@@ -0,0 +1,84 @@
+const fs = require("fs");
+const { writeOutputFile } = require("./output");
+
+// Resolution pages are laid out at: an image this many pixels wide fills an inch of paper
+const PDF_DPI = 150;
+
+// Read the size and color channels of a JPEG from its start-of-frame segment
+function readJpegInfo(data, file) {
+  let offset = 2;
+  while (offset + 4 <= data.length) {
+    if (data[offset] !== 0xff) break;
+    const marker = data[offset + 1];
+    const length = data.readUInt16BE(offset + 2);
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return {
+        height: data.readUInt16BE(offset + 5),
+        width: data.readUInt16BE(offset + 7),
+        components: data[offset + 9]
+      };
+    }
+    offset += 2 + length;
+  }
+  throw new Error(`Could not read the JPEG header of ${file}`);
+}
+
+// Write a PDF with one JPEG image per page, each page sized to its image at PDF_DPI.
+// options.title is stored in the document info.
+async function writeImagePdf(jpegFiles, outputFile, options = {}) {
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const write = chunk => {
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, "latin1");
+    chunks.push(buffer);
+    length += buffer.length;
+  };
+  const startObject = id => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n`);
+  };
+
+  // Objects 1-3 are the catalog, page tree and info; each page then takes three
+  const pageIds = jpegFiles.map((_, index) => 4 + index * 3);
+  write("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n");
+
+  startObject(1);
+  write("<< /Type /Catalog /Pages 2 0 R >>\nendobj\n");
+  startObject(2);
+  write(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>\nendobj\n`);
+  startObject(3);
+  const title = String(options.title || "Score").replace(/[\\()]/g, "\\$&").replace(/[^\x20-\x7e]/g, "?");
+  write(`<< /Title (${title}) /Producer (sfh) >>\nendobj\n`);
+
+  for (let i = 0; i < jpegFiles.length; i++) {
+    const data = await fs.promises.readFile(jpegFiles[i]);
+    const info = readJpegInfo(data, jpegFiles[i]);
+    const pageWidth = (info.width * 72 / PDF_DPI).toFixed(2);
+    const pageHeight = (info.height * 72 / PDF_DPI).toFixed(2);
+    const [pageId, imageId, contentId] = [pageIds[i], pageIds[i] + 1, pageIds[i] + 2];
+    const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q\n`;
+
+    startObject(pageId);
+    write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im0 ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>\nendobj\n`);
+    startObject(imageId);
+    write(`<< /Type /XObject /Subtype /Image /Width ${info.width} /Height ${info.height} /ColorSpace /${info.components === 1 ? "DeviceGray" : info.components === 4 ? "DeviceCMYK" : "DeviceRGB"} /BitsPerComponent 8 /Filter /DCTDecode /Length ${data.length} >>\nstream\n`);
+    write(data);
+    write("\nendstream\nendobj\n");
+    startObject(contentId);
+    write(`<< /Length ${content.length} >>\nstream\n${content}endstream\nendobj\n`);
+  }
+
+  const objectCount = 3 + jpegFiles.length * 3;
+  const xrefOffset = length;
+  write(`xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`);
+  for (let id = 1; id <= objectCount; id++) {
+    write(`${String(offsets[id]).padStart(10, "0")} 00000 n \n`);
+  }
+  write(`trailer\n<< /Size ${objectCount + 1} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  await writeOutputFile(outputFile, Buffer.concat(chunks));
+}
+
+module.exports = { PDF_DPI, writeImagePdf };
@@ -0,0 +1,60 @@
+// Side of the grid a frame is reduced to for hashing: 8x8 bits, so a hash is 16 hex digits
+const HASH_SIZE = 8;
+// Hashes this many bits apart (out of 64) or fewer show the same page
+const SAME_PAGE_DISTANCE = 6;
+
+// Helper to shrink a gray frame to cols x rows cells by averaging the pixels in each cell
+function reduceFrame(frame, cols, rows) {
+  const { width, height, data } = frame;
+  const cells = new Float64Array(cols * rows);
+  for (let row = 0; row < rows; row++) {
+    const y0 = Math.floor(row * height / rows);
+    const y1 = Math.max(y0 + 1, Math.floor((row + 1) * height / rows));
+    for (let col = 0; col < cols; col++) {
+      const x0 = Math.floor(col * width / cols);
+      const x1 = Math.max(x0 + 1, Math.floor((col + 1) * width / cols));
+      let sum = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) sum += data[y * width + x];
+      }
+      cells[row * cols + col] = sum / ((y1 - y0) * (x1 - x0));
+    }
+  }
+  return cells;
+}
+
+// Perceptual (difference) hash of a gray frame { width, height, data }: each bit says whether
+// a cell of a 9x8 reduction is brighter than its right-hand neighbor. Small changes (noise,
+// compression, a few notes) flip few bits. Returns a 16-digit hex string.
+function differenceHash(frame) {
+  const cells = reduceFrame(frame, HASH_SIZE + 1, HASH_SIZE);
+  let hash = "";
+  for (let row = 0; row < HASH_SIZE; row++) {
+    let nibble = 0;
+    for (let col = 0; col < HASH_SIZE; col++) {
+      const left = cells[row * (HASH_SIZE + 1) + col];
+      const right = cells[row * (HASH_SIZE + 1) + col + 1];
+      nibble = (nibble << 1) | (left > right ? 1 : 0);
+      if (col % 4 === 3) {
+        hash += nibble.toString(16);
+        nibble = 0;
+      }
+    }
+  }
+  return hash;
+}
+
+// Number of bits that differ between two hashes
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return distance;
+}
+
+module.exports = { SAME_PAGE_DISTANCE, differenceHash, hammingDistance };
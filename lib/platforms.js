@@ -0,0 +1,121 @@
+const fs = require("fs");
+const { probe } = require("./ffmpeg");
+
+// Upload specs of the platforms shortify can export for. Bitrates are ceilings in kbit/s;
+// maxDuration is the longest clip the platform accepts as a short, in seconds.
+const PLATFORM_PRESETS = {
+  shorts: { label: "YouTube Shorts", width: 1080, height: 1920, fps: 60, maxDuration: 180, videoBitrate: 12000, audioBitrate: 192, sampleRate: 48000 },
+  reels: { label: "Instagram Reels", width: 1080, height: 1920, fps: 30, maxDuration: 90, videoBitrate: 5000, audioBitrate: 128, sampleRate: 48000 },
+  tiktok: { label: "TikTok", width: 1080, height: 1920, fps: 30, maxDuration: 600, videoBitrate: 8000, audioBitrate: 128, sampleRate: 44100 },
+  x: { label: "X", width: 720, height: 1280, fps: 30, maxDuration: 140, videoBitrate: 5000, audioBitrate: 128, sampleRate: 44100 }
+};
+
+// How a piece longer than the preset's maxDuration is made to fit
+const FIT_MODES = ["trim", "speed"];
+// Fastest a piece is played back before the rest is trimmed; beyond this the music suffers
+const MAX_SPEEDUP = 1.25;
+// Allowed overshoot of measured bitrates over the ceiling (rate control isn't exact on short clips)
+const BITRATE_TOLERANCE = 1.1;
+
+// Encoder settings that keep a video inside a preset's limits
+function presetVideoArgs(preset) {
+  return [
+    '-c:v', 'libx264', '-profile:v', 'high', '-pix_fmt', 'yuv420p', '-crf', '20',
+    '-maxrate', `${preset.videoBitrate}k`, '-bufsize', `${preset.videoBitrate * 2}k`,
+    '-g', preset.fps * 2
+  ];
+}
+
+function presetAudioArgs(preset) {
+  return ['-c:a', 'aac', '-b:a', `${preset.audioBitrate}k`, '-ar', preset.sampleRate, '-ac', '2'];
+}
+
+// Work out the playback speed and final length for a piece of the given duration
+function fitDuration(duration, preset, fit = "trim") {
+  if (!duration || duration <= preset.maxDuration) {
+    return { speed: 1, duration, trimmed: false };
+  }
+  const speed = fit === "speed" ? Math.min(duration / preset.maxDuration, MAX_SPEEDUP) : 1;
+  const spedUp = duration / speed;
+  return {
+    speed,
+    duration: Math.min(spedUp, preset.maxDuration),
+    trimmed: spedUp > preset.maxDuration + 0.001
+  };
+}
+
+// Helper to check whether an MP4's moov atom comes before its media data (faststart)
+async function isFastStart(file) {
+  const handle = await fs.promises.open(file, "r");
+  try {
+    const { size } = await handle.stat();
+    const header = Buffer.alloc(16);
+    let position = 0;
+    while (position + 8 <= size) {
+      await handle.read(header, 0, 16, position);
+      let boxSize = header.readUInt32BE(0);
+      const type = header.toString("latin1", 4, 8);
+      if (type === "moov") return true;
+      if (type === "mdat") return false;
+      if (boxSize === 1) boxSize = Number(header.readBigUInt64BE(8));
+      if (boxSize === 0) break;
+      if (boxSize < 8) break;
+      position += boxSize;
+    }
+    return false;
+  } finally {
+    await handle.close();
+  }
+}
+
+// Helper to read a stream's bitrate in kbit/s (null when ffprobe doesn't report one)
+function streamBitrate(stream) {
+  const bitRate = stream && parseInt(stream.bit_rate, 10);
+  return Number.isFinite(bitRate) ? bitRate / 1000 : null;
+}
+
+// Check an exported file against a preset.
+// Resolves to a list of { name, ok, detail } checks.
+async function validatePlatformOutput(file, preset) {
+  const info = await probe(file);
+  const video = info.streams.find(stream => stream.codec_type === "video");
+  const audio = info.streams.find(stream => stream.codec_type === "audio");
+  const checks = [];
+
+  function check(name, ok, detail) {
+    checks.push({ name, ok: Boolean(ok), detail });
+  }
+
+  check("resolution", info.width === preset.width && info.height === preset.height,
+    `${info.width}x${info.height} (expected ${preset.width}x${preset.height})`);
+  check("frame rate", info.fps && Math.abs(info.fps - preset.fps) < 0.01,
+    `${info.fps ? info.fps.toFixed(2) : "unknown"} fps (expected ${preset.fps})`);
+  check("duration", info.duration && info.duration <= preset.maxDuration + 0.05,
+    `${info.duration ? info.duration.toFixed(2) : "unknown"}s (max ${preset.maxDuration}s)`);
+  check("video codec", video && video.codec_name === "h264", `${video ? video.codec_name : "none"} (expected h264)`);
+
+  const videoBitrate = streamBitrate(video);
+  check("video bitrate", videoBitrate !== null && videoBitrate <= preset.videoBitrate * BITRATE_TOLERANCE,
+    `${videoBitrate !== null ? Math.round(videoBitrate) : "unknown"} kbit/s (max ${preset.videoBitrate})`);
+
+  check("audio codec", audio && audio.codec_name === "aac", `${audio ? audio.codec_name : "none"} (expected aac)`);
+  const audioBitrate = streamBitrate(audio);
+  check("audio bitrate", audioBitrate !== null && audioBitrate <= preset.audioBitrate * BITRATE_TOLERANCE,
+    `${audioBitrate !== null ? Math.round(audioBitrate) : "unknown"} kbit/s (max ${preset.audioBitrate})`);
+  check("sample rate", info.sampleRate === preset.sampleRate, `${info.sampleRate || "none"} Hz (expected ${preset.sampleRate})`);
+
+  const fastStart = await isFastStart(file);
+  check("faststart", fastStart, fastStart ? "moov before mdat" : "moov after mdat");
+
+  return checks;
+}
+
+module.exports = {
+  FIT_MODES,
+  MAX_SPEEDUP,
+  PLATFORM_PRESETS,
+  fitDuration,
+  presetAudioArgs,
+  presetVideoArgs,
+  validatePlatformOutput
+};
@@ -0,0 +1,199 @@
+const { runProcess } = require("./ffmpeg");
+
+// Width still images are downscaled to before analysis; plenty to locate systems and barlines
+const ANALYSIS_WIDTH = 960;
+// Gray level below which a pixel counts as ink (after inverting dark-background pages)
+const INK_THRESHOLD = 128;
+// Fraction of inked pixels a row or column needs to count as content rather than margin
+const CONTENT_INK = 0.004;
+
+// Read an image as 8-bit grayscale at the given width (height keeps the aspect ratio).
+// Resolves to { width, height, data } with one byte per pixel.
+async function readGrayFrame(imageFile, width = ANALYSIS_WIDTH) {
+  const { stdout } = await runProcess("ffmpeg", [
+    "-hide_banner", "-loglevel", "error", "-i", imageFile,
+    "-frames:v", "1",
+    "-vf", `scale=${width}:-2,format=gray`,
+    "-f", "rawvideo", "-"
+  ], { step: `Reading ${imageFile} for analysis`, binary: true });
+
+  // A single raw gray frame is exactly width x height bytes
+  const height = Math.floor(stdout.length / width);
+  return { width, height, data: stdout.subarray(0, width * height) };
+}
+
+// Stream a video's frames as raw pixels without holding the whole video in memory.
+// Frames are sampled at options.fps and scaled to options.width x options.height;
+// onFrame(frame, time) receives { width, height, channels, data } for each one.
+// Resolves to the number of frames read.
+async function scanFrames(video, options, onFrame) {
+  const { fps, width, height } = options;
+  const pixFmt = options.pixFmt || "gray";
+  const channels = pixFmt === "rgb24" ? 3 : 1;
+  const frameSize = width * height * channels;
+  let pending = Buffer.alloc(0);
+  let index = 0;
+
+  await runProcess("ffmpeg", [
+    "-hide_banner", "-loglevel", "error", "-i", video,
+    "-an", "-vf", `fps=${fps},scale=${width}:${height},format=${pixFmt}`,
+    "-f", "rawvideo", "-"
+  ], {
+    step: options.step || `Scanning frames of ${video}`,
+    discardStdout: true,
+    onStdout(data) {
+      pending = pending.length > 0 ? Buffer.concat([pending, data]) : data;
+      while (pending.length >= frameSize) {
+        onFrame({ width, height, channels, data: pending.subarray(0, frameSize) }, index / fps);
+        pending = pending.subarray(frameSize);
+        index++;
+      }
+    }
+  });
+  return index;
+}
+
+// Fraction of inked pixels in every column and every row of a gray frame.
+// Pages with a dark background are inverted first so ink is always the minority tone;
+// inverted tells the caller that happened.
+function inkProfiles(frame) {
+  const { width, height, data } = frame;
+  let total = 0;
+  for (let i = 0; i < width * height; i++) total += data[i];
+  const invert = total / (width * height) < INK_THRESHOLD;
+
+  const columns = new Float64Array(width);
+  const rows = new Float64Array(height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = data[y * width + x];
+      if (invert ? value >= INK_THRESHOLD : value < INK_THRESHOLD) {
+        columns[x]++;
+        rows[y]++;
+      }
+    }
+  }
+  for (let x = 0; x < width; x++) columns[x] /= height;
+  for (let y = 0; y < height; y++) rows[y] /= width;
+  return { columns, rows, inverted: invert };
+}
+
+// First and last index of a profile holding content; null for an empty page
+function findContentBounds(profile, minInk = CONTENT_INK) {
+  let start = -1;
+  let end = -1;
+  for (let i = 0; i < profile.length; i++) {
+    if (profile[i] > minInk) {
+      if (start === -1) start = i;
+      end = i;
+    }
+  }
+  return start === -1 ? null : { start, end };
+}
+
+// Find systems as bands of inked rows. Gaps shorter than minGap (a fraction of the
+// page height) are bridged, so the space between staves of one system doesn't split it.
+function findSystems(rowProfile, options = {}) {
+  const minInk = options.minInk !== undefined ? options.minInk : CONTENT_INK;
+  const minGap = Math.max(1, Math.round((options.minGap || 0.03) * rowProfile.length));
+  const minHeight = Math.max(1, Math.round((options.minHeight || 0.02) * rowProfile.length));
+
+  const bands = [];
+  let current = null;
+  let gap = 0;
+  for (let y = 0; y < rowProfile.length; y++) {
+    if (rowProfile[y] > minInk) {
+      if (current && gap < minGap) {
+        current.end = y;
+      } else {
+        current = { start: y, end: y };
+        bands.push(current);
+      }
+      gap = 0;
+    } else if (current) {
+      gap++;
+    }
+  }
+  return bands.filter(band => band.end - band.start + 1 >= minHeight);
+}
+
+// Helper for a smooth start and stop: 0 -> 0, 1 -> 1 with zero velocity at both ends
+function easeInOut(u) {
+  return 0.5 - 0.5 * Math.cos(Math.PI * u);
+}
+
+// Plan a horizontal pan across a page. The view (viewWidth, in profile columns) moves
+// at a speed inversely proportional to the ink under it, so it dwells on dense music
+// and hurries over margins and whitespace, easing in and out at the ends.
+// Returns keyframes [{ u, x }]: u is the fraction of the still's duration and
+// x the left edge of the view in profile columns.
+function planPanPath(columnProfile, viewWidth, options = {}) {
+  const keyframeCount = options.keyframes || 16;
+  const width = columnProfile.length;
+  const maxLeft = Math.max(0, width - viewWidth);
+  const bounds = findContentBounds(columnProfile);
+
+  // Range of left edges that keep the view over the music
+  let firstLeft = 0;
+  let lastLeft = maxLeft;
+  if (bounds) {
+    const contentWidth = bounds.end - bounds.start + 1;
+    if (contentWidth <= viewWidth) {
+      const centered = Math.min(maxLeft, Math.max(0, Math.round(bounds.start - (viewWidth - contentWidth) / 2)));
+      return [{ u: 0, x: centered }, { u: 1, x: centered }];
+    }
+    firstLeft = Math.min(maxLeft, bounds.start);
+    lastLeft = Math.max(firstLeft, Math.min(maxLeft, bounds.end + 1 - viewWidth));
+  }
+  if (lastLeft <= firstLeft) {
+    return [{ u: 0, x: firstLeft }, { u: 1, x: firstLeft }];
+  }
+
+  // Ink around the center of the view for each step from one left edge to the next,
+  // smoothed over half a view
+  const radius = Math.max(1, Math.round(viewWidth / 4));
+  const prefix = new Float64Array(width + 1);
+  for (let i = 0; i < width; i++) prefix[i + 1] = prefix[i] + columnProfile[i];
+  const weights = [];
+  let sum = 0;
+  for (let left = firstLeft; left < lastLeft; left++) {
+    const center = left + viewWidth / 2;
+    const from = Math.max(0, Math.round(center - radius));
+    const to = Math.min(width, Math.round(center + radius));
+    const density = (prefix[to] - prefix[from]) / Math.max(1, to - from);
+    weights.push(density);
+    sum += density;
+  }
+
+  // A floor keeps whitespace from being skipped instantly
+  const floor = Math.max(sum / weights.length * 0.25, 1e-6);
+  const cumulative = [0];
+  for (let i = 0; i < weights.length; i++) {
+    cumulative.push(cumulative[i] + weights[i] + floor);
+  }
+  const totalWeight = cumulative[cumulative.length - 1];
+
+  const keyframes = [];
+  let index = 0;
+  for (let k = 0; k <= keyframeCount; k++) {
+    const u = k / keyframeCount;
+    const wanted = easeInOut(u) * totalWeight;
+    while (index < weights.length - 1 && cumulative[index + 1] < wanted) index++;
+    const step = cumulative[index + 1] - cumulative[index];
+    const fraction = step > 0 ? Math.min(1, Math.max(0, (wanted - cumulative[index]) / step)) : 0;
+    keyframes.push({ u, x: firstLeft + index + fraction });
+  }
+  return keyframes;
+}
+
+module.exports = {
+  ANALYSIS_WIDTH,
+  CONTENT_INK,
+  INK_THRESHOLD,
+  findContentBounds,
+  findSystems,
+  inkProfiles,
+  planPanPath,
+  readGrayFrame,
+  scanFrames
+};
@@ -0,0 +1,85 @@
+const fs = require("fs");
+const path = require("path");
+const { runFfmpeg } = require("./ffmpeg");
+const { writeOutputFile } = require("./output");
+
+const DEFAULT_CARD_DURATION = 4;
+const CARD_FADE = 0.5;
+
+// Text lines of the card: field name, font size and vertical position as fractions of the frame height
+const CARD_LINES = [
+  { field: "title", size: 1 / 12, y: 0.36 },
+  { field: "composer", size: 1 / 22, y: 0.52 },
+  { field: "performer", size: 1 / 26, y: 0.60 }
+];
+
+// Helper to escape a value for use inside a filtergraph option
+function escapeFilterValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'").replace(/:/g, "\\:");
+}
+
+// Helper to tell an image path from a color name or hex value
+function isImageBackground(background) {
+  return /\.(png|jpe?g|webp|bmp|tiff?)$/i.test(background);
+}
+
+// Render a title card clip (piece title, composer, performer over a color or image)
+// in the given target format. Text is passed through files so no escaping of the
+// user's text is needed. Resolves to the card duration.
+async function renderTitleCard(output, target, card, encoderArgs) {
+  const duration = card.duration || DEFAULT_CARD_DURATION;
+  const background = card.background || "black";
+  const textColor = card.textColor || "white";
+  const textFiles = [];
+
+  const inputArgs = isImageBackground(background)
+    ? ['-loop', '1', '-t', duration, '-i', background]
+    : ['-f', 'lavfi', '-i', `color=c=${background}:s=${target.width}x${target.height}:r=${target.fps}:d=${duration}`];
+
+  const filters = [
+    `scale=${target.width}:${target.height}:force_original_aspect_ratio=increase`,
+    `crop=${target.width}:${target.height}`,
+    `setsar=${target.sar}`,
+    `fps=${target.fps}`
+  ];
+
+  try {
+    for (const line of CARD_LINES) {
+      if (!card[line.field]) continue;
+      const textFile = path.join(path.dirname(output), `${path.basename(output, path.extname(output))}_${line.field}.txt`);
+      await writeOutputFile(textFile, String(card[line.field]));
+      textFiles.push(textFile);
+
+      const fontArgs = card.font ? `:fontfile='${escapeFilterValue(card.font)}'` : "";
+      filters.push(
+        `drawtext=textfile='${escapeFilterValue(textFile)}'${fontArgs}:expansion=none` +
+        `:fontcolor=${textColor}:fontsize=${Math.round(target.height * line.size)}` +
+        `:x=(w-text_w)/2:y=${Math.round(target.height * line.y)}`
+      );
+    }
+
+    filters.push(
+      `fade=t=in:st=0:d=${CARD_FADE}`,
+      `fade=t=out:st=${duration - CARD_FADE}:d=${CARD_FADE}`,
+      `format=${target.pixFmt}`
+    );
+
+    await runFfmpeg([
+      '-y', ...inputArgs,
+      '-f', 'lavfi', '-i', `anullsrc=r=${target.sampleRate}:cl=${target.channelLayout}`,
+      '-map', '0:v', '-map', '1:a',
+      '-vf', filters.join(","),
+      '-t', duration,
+      ...encoderArgs,
+      output
+    ], `Rendering ${duration}s title card`);
+  } finally {
+    for (const textFile of textFiles) {
+      await fs.promises.rm(textFile, { force: true });
+    }
+  }
+
+  return duration;
+}
+
+module.exports = { DEFAULT_CARD_DURATION, escapeFilterValue, renderTitleCard };
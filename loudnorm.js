@@ -0,0 +1,70 @@
+const path = require("path");
+const { runCommand, toNumber } = require("./lib/cli");
+const { logWithTimestamp, setDryRun } = require("./lib/ffmpeg");
+const {
+  DEFAULT_LRA,
+  DEFAULT_TRUE_PEAK,
+  LOUDNESS_PRESETS,
+  logLoudness,
+  measureLoudness,
+  normalizeLoudness,
+  parseLoudnessTarget
+} = require("./lib/loudness");
+const { OUTPUT_OPTIONS, claimOutput, logOutput, outputName } = require("./lib/output");
+
+const OUTPUT_SUFFIX = "_normalized";
+
+// Main processing function; resolves to the output path (or null when only analyzing)
+async function loudnorm(input, options = {}) {
+  const settings = {
+    target: options.target !== undefined ? options.target : LOUDNESS_PRESETS.social,
+    truePeak: options.truePeak !== undefined ? options.truePeak : DEFAULT_TRUE_PEAK,
+    lra: options.lra !== undefined ? options.lra : DEFAULT_LRA
+  };
+
+  setDryRun(options.dryRun);
+  logWithTimestamp(`Processing: ${input}`);
+
+  if (options.analyze) {
+    const measured = await measureLoudness(input, settings);
+    logLoudness("Measured", measured);
+    return null;
+  }
+
+  const outputFile = claimOutput(options.output || outputName(input, `${OUTPUT_SUFFIX}${path.extname(input)}`), options.force);
+  await normalizeLoudness(input, outputFile, settings);
+  logOutput("Output", outputFile);
+  return outputFile;
+}
+
+const command = {
+  name: "loudnorm",
+  summary: "Measure and two-pass normalize loudness (EBU R128) of a video or audio file",
+  usage: "<input> [options]",
+  minPositionals: 1,
+  options: {
+    target: { type: "string", short: "t", placeholder: "LUFS", description: `Integrated loudness target: ${Object.entries(LOUDNESS_PRESETS).map(([name, lufs]) => `${name} (${lufs})`).join(", ")} or a number`, default: "social" },
+    "true-peak": { type: "string", placeholder: "dBTP", description: "Maximum true peak", default: DEFAULT_TRUE_PEAK },
+    lra: { type: "string", placeholder: "LU", description: "Target loudness range", default: DEFAULT_LRA },
+    analyze: { type: "boolean", short: "a", description: "Only report the measured loudness; write nothing" },
+    output: { type: "string", short: "o", placeholder: "file", description: `Output file (default: <input name>${OUTPUT_SUFFIX} with the input's extension)` },
+    ...OUTPUT_OPTIONS
+  },
+  async run(values, positionals) {
+    await loudnorm(positionals[0], {
+      target: parseLoudnessTarget(values.target, 'target'),
+      truePeak: toNumber(values["true-peak"], 'true-peak'),
+      lra: toNumber(values.lra, 'lra', { min: 1 }),
+      analyze: values.analyze,
+      output: values.output,
+      force: values.force,
+      dryRun: values["dry-run"]
+    });
+  }
+};
+
+module.exports = { command, loudnorm };
+
+if (require.main === module) {
+  runCommand(command, process.argv.slice(2), "node loudnorm.js");
+}
@@ -1,69 +1,107 @@
-const { exec } = require("child_process");
-const util = require("util");
 const fs = require("fs");
 const path = require("path");
+const { runCommand } = require("./lib/cli");
+const { logWithTimestamp, runFfmpeg } = require("./lib/ffmpeg");
+const { DEFAULT_REGISTRY, loadRegistry, registerOutro, validateOutro } = require("./lib/outros");
 
-// Promisify exec
-const execPromise = util.promisify(exec);
+const DEFAULT_NAME = "sites";
 
-// Get input video from command line arguments
-const inputVideo = process.argv[2];
-
-// Validate input
-if (!inputVideo) {
-    console.error("Usage: node makeOutros.js <input_video>");
-    process.exit(1);
+// Helper to derive the 4K file name from the 1080p one (foo.mp4 -> foo_4k.mp4)
+function get4kPath(output1080p) {
+    const ext = path.extname(output1080p);
+    return `${output1080p.slice(0, output1080p.length - ext.length)}_4k${ext}`;
 }
 
-// Helper function for logging with timestamps
-function logWithTimestamp(message) {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] ${message}`);
+// Function to render one outro variant at the given frame size
+async function createOutro(inputVideo, width, height, outputFile) {
+    const args = [
+        '-i', inputVideo,
+        '-vf', `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`,
+        '-r', '30', '-ar', '44100',
+        '-c:v', 'libx264', '-preset', 'medium', '-crf', '23',
+        '-c:a', 'aac', '-b:a', '192k',
+        '-pix_fmt', 'yuv420p',
+        '-y', outputFile
+    ];
+    await runFfmpeg(args, `Creating ${height}p version`);
 }
 
-// Helper function for executing commands
-async function safeExec(command, stepDescription) {
-    try {
-        logWithTimestamp(`Starting: ${stepDescription}`);
-        const { stdout, stderr } = await execPromise(command);
-        logWithTimestamp(`Completed: ${stepDescription}`);
-        return stdout;
-    } catch (error) {
-        console.error(`Failed during: ${stepDescription}\nCommand: ${command}\nError: ${error.message}`);
-        process.exit(1);
-    }
-}
+// Main processing function; renders both variants and registers them under the given name
+async function createOutros(inputVideo, options = {}) {
+    const name = options.name || DEFAULT_NAME;
+    const registryFile = options.registry || DEFAULT_REGISTRY;
+    const output1080p = options.output || path.join('outros', `${name}_outro_30fps_44100ar.mp4`);
+    const output4k = get4kPath(output1080p);
 
-async function createOutros() {
-    try {
-        // Create 1080p version
-        const command1080p = `ffmpeg -i "${inputVideo}" `
-            + `-vf "scale=1920:1080:force_original_aspect_ratio=decrease,pad=1920:1080:(ow-iw)/2:(oh-ih)/2" `
-            + `-r 30 -ar 44100 `
-            + `-c:v libx264 -preset medium -crf 23 `
-            + `-c:a aac -b:a 192k `
-            + `-pix_fmt yuv420p `
-            + `-y "outros/sites_outro_30fps_44100ar.mp4"`;
+    await fs.promises.mkdir(path.dirname(output1080p), { recursive: true });
 
-        // Create 4K version
-        const command4k = `ffmpeg -i "${inputVideo}" `
-            + `-vf "scale=3840:2160:force_original_aspect_ratio=decrease,pad=3840:2160:(ow-iw)/2:(oh-ih)/2" `
-            + `-r 30 -ar 44100 `
-            + `-c:v libx264 -preset medium -crf 23 `
-            + `-c:a aac -b:a 192k `
-            + `-pix_fmt yuv420p `
-            + `-y "outros/sites_outro_30fps_44100ar_4k.mp4"`;
+    await createOutro(inputVideo, 1920, 1080, output1080p);
+    await createOutro(inputVideo, 3840, 2160, output4k);
 
-        await safeExec(command1080p, "Creating 1080p version");
-        await safeExec(command4k, "Creating 4K version");
+    logWithTimestamp("Both versions created successfully!");
 
-        logWithTimestamp("Both versions created successfully!");
+    await registerOutro(registryFile, {
+        name,
+        path1080p: output1080p,
+        path4k: output4k,
+        fps: 30,
+        sampleRate: 44100
+    });
+    logWithTimestamp(`Registered outro '${name}' in ${registryFile}`);
+    return { output1080p, output4k };
+}
+
+// Function to print every registered outro with its validation status
+async function listOutros(options = {}) {
+    const registry = loadRegistry(options.registry);
+    console.log(`Outros registered in ${registry.file}:`);
 
-    } catch (error) {
-        console.error("Error during processing:", error);
-        process.exit(1);
+    for (const outro of registry.outros) {
+        const problems = await validateOutro(outro);
+        const aliases = outro.aliases.length > 0 ? ` (alias: ${outro.aliases.join(", ")})` : "";
+        console.log(`\n  ${outro.name}${aliases} ${problems.length === 0 ? "[ok]" : "[invalid]"}`);
+        console.log(`    suffix: ${outro.suffix}`);
+        console.log(`    1080p:  ${outro.path1080p}`);
+        console.log(`    4k:     ${outro.path4k}`);
+        if (outro.fps || outro.sampleRate) {
+            console.log(`    requires: ${[outro.fps && `${outro.fps} fps`, outro.sampleRate && `${outro.sampleRate} Hz`].filter(Boolean).join(", ")}`);
+        }
+        for (const problem of problems) {
+            console.log(`    ! ${problem}`);
+        }
     }
+    return registry.outros;
 }
 
-// Run the main function
-createOutros(); 
\ No newline at end of file
+const command = {
+    name: "outros make",
+    summary: "Render an ending sequence at 1080p and 4K and register it for concat",
+    usage: "<input> [options]",
+    minPositionals: 1,
+    options: {
+        name: { type: "string", short: "n", placeholder: "name", description: "Name to register the outro under", default: DEFAULT_NAME },
+        output: { type: "string", short: "o", placeholder: "file", description: "1080p output file; the 4K file gets a _4k suffix (default: outros/<name>_outro_30fps_44100ar.mp4)" },
+        registry: { type: "string", placeholder: "file", description: "Outro registry file (default: outros/outros.json)" }
+    },
+    async run(values, positionals) {
+        await createOutros(positionals[0], { name: values.name, output: values.output, registry: values.registry });
+    }
+};
+
+const listCommand = {
+    name: "outros list",
+    summary: "List the registered outros and check that their files are valid",
+    usage: "[options]",
+    options: {
+        registry: { type: "string", placeholder: "file", description: "Outro registry file (default: outros/outros.json)" }
+    },
+    async run(values) {
+        await listOutros({ registry: values.registry });
+    }
+};
+
+module.exports = { command, commands: { make: command, list: listCommand }, createOutros, listOutros };
+
+if (require.main === module) {
+    runCommand(command, process.argv.slice(2), "node makeOutros.js");
+}
@@ -1,103 +1,101 @@
-const { exec } = require("child_process");
-const util = require("util");
 const fs = require("fs");
 const path = require("path");
+const { runCommand, toNumber } = require("./lib/cli");
+const { logWithTimestamp, runFfmpeg } = require("./lib/ffmpeg");
+const { DEFAULT_TRUE_PEAK, normalizeLoudness, parseLoudnessTarget } = require("./lib/loudness");
+const { OUTPUT_OPTIONS, claimOutput } = require("./lib/output");
 
-// Promisify exec and fs functions
-const execPromise = util.promisify(exec);
+// When boost is false the inputs are only attenuated to leave headroom for the mix
+async function mixAudio(audioFiles, outputFile, boost = true) {
+    const outputDir = path.dirname(outputFile);
 
-// Get input directory from command line arguments
-const inputDir = process.argv[2];
+    // Create output directory if it doesn't exist
+    if (!fs.existsSync(outputDir)) {
+        await fs.promises.mkdir(outputDir, { recursive: true });
+    }
 
-// Validate input
-if (!inputDir) {
-    console.error("Usage: node mixAudio.js <directory_path>");
-    process.exit(1);
-}
+    // Calculate volume adjustment based on number of files
+    // Using modified formula with +40dB boost to final output unless loudness is normalized afterwards
+    const volumeAdjustment = (-6 * Math.log2(audioFiles.length)) + (boost ? 40 : 0);
+    
+    // Create the filter complex string for mixing
+    const filterInputs = audioFiles
+        .map((_, i) => `[${i}:a]volume=${volumeAdjustment}dB[a${i}]`)
+        .join(';');
+    
+    const mixInputs = audioFiles
+        .map((_, i) => `[a${i}]`)
+        .join('');
+    
+    // Construct the full ffmpeg argument list
+    const inputFiles = audioFiles.flatMap(file => ['-i', file]);
+    
+    const args = [
+        ...inputFiles,
+        '-filter_complex', `${filterInputs};${mixInputs}amix=inputs=${audioFiles.length}:dropout_transition=0[aout]`,
+        '-map', '[aout]', '-b:a', '320k', outputFile
+    ];
 
-// Helper function for logging with timestamps
-function logWithTimestamp(message) {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] ${message}`);
+    await runFfmpeg(args, "Mixing audio files");
+    
+    logWithTimestamp(`Mixed audio saved to: ${outputFile}`);
+    logWithTimestamp(`Applied volume adjustment: ${volumeAdjustment.toFixed(1)}dB`);
 }
 
-// Helper function for executing commands
-async function safeExec(command, stepDescription) {
-    try {
-        logWithTimestamp(`Starting: ${stepDescription}`);
-        const { stdout, stderr } = await execPromise(command);
-        logWithTimestamp(`Completed: ${stepDescription}`);
-        return stdout;
-    } catch (error) {
-        console.error(`Failed during: ${stepDescription}\nCommand: ${command}\nError: ${error.message}`);
-        process.exit(1);
-    }
-}
+// Main processing function; resolves to the output path
+async function mixAudios(inputDir, options = {}) {
+    const outputFile = claimOutput(options.output || path.join(inputDir, 'mixed', 'mixed_output.mp3'), options.force);
 
-async function mixAudio(audioFiles) {
-    const outputDir = path.join(inputDir, 'mixed');
-    const outputFile = path.join(outputDir, 'mixed_output.mp3');
-    
-    try {
-        // Create output directory if it doesn't exist
-        if (!fs.existsSync(outputDir)) {
-            await fs.promises.mkdir(outputDir, { recursive: true });
-        }
-
-        // Calculate volume adjustment based on number of files
-        // Using modified formula with +20dB boost to final output
-        const volumeAdjustment = (-6 * Math.log2(audioFiles.length)) + 40;
-        
-        // Create the filter complex string for mixing
-        const filterInputs = audioFiles
-            .map((_, i) => `[${i}:a]volume=${volumeAdjustment}dB[a${i}]`)
-            .join(';');
-        
-        const mixInputs = audioFiles
-            .map((_, i) => `[a${i}]`)
-            .join('');
-        
-        // Construct the full ffmpeg command
-        const inputFiles = audioFiles
-            .map(file => `-i "${file}"`)
-            .join(' ');
-        
-        const command = `ffmpeg ${inputFiles} -filter_complex "${filterInputs};${mixInputs}amix=inputs=${audioFiles.length}:dropout_transition=0[aout]" -map "[aout]" -b:a 320k "${outputFile}"`;
+    // Get all MP3 files in the input directory
+    const files = await fs.promises.readdir(inputDir);
+    const audioFiles = files
+        .filter(file => path.extname(file).toLowerCase() === '.mp3')
+        .map(file => path.join(inputDir, file));
 
-        await safeExec(command, "Mixing audio files");
-        
-        logWithTimestamp(`Mixed audio saved to: ${outputFile}`);
-        logWithTimestamp(`Applied volume adjustment: ${volumeAdjustment.toFixed(1)}dB`);
+    if (audioFiles.length === 0) {
+        throw new Error(`No MP3 files found in ${inputDir}`);
+    }
 
-    } catch (error) {
-        console.error("Error mixing audio:", error);
-        process.exit(1);
+    logWithTimestamp(`Found ${audioFiles.length} MP3 files to mix`);
+    if (options.loudness !== undefined) {
+        // Mix losslessly without the fixed boost, then bring the mix to the requested loudness
+        const mixedFile = path.join(path.dirname(outputFile), `mix_unnormalized_${Date.now()}.wav`);
+        try {
+            await mixAudio(audioFiles, mixedFile, false);
+            await normalizeLoudness(mixedFile, outputFile, { target: options.loudness, truePeak: options.truePeak });
+        } finally {
+            await fs.promises.rm(mixedFile, { force: true });
+        }
+    } else {
+        await mixAudio(audioFiles, outputFile);
     }
+    logWithTimestamp("Audio mixing completed successfully!");
+    return outputFile;
 }
 
-// Main processing function
-async function processAudio() {
-    try {
-        // Get all MP3 files in the input directory
-        const files = await fs.promises.readdir(inputDir);
-        const audioFiles = files
-            .filter(file => path.extname(file).toLowerCase() === '.mp3')
-            .map(file => path.join(inputDir, file));
-
-        if (audioFiles.length === 0) {
-            console.error("No MP3 files found in the specified directory");
-            process.exit(1);
-        }
+const command = {
+    name: "audio mix",
+    summary: "Mix every MP3 in a directory into a single track",
+    usage: "<directory> [options]",
+    minPositionals: 1,
+    options: {
+        loudness: { type: "string", placeholder: "LUFS", description: "Normalize the mix to this loudness instead of the fixed +40dB boost: social (-14), web (-16), broadcast (-23) or a number" },
+        "true-peak": { type: "string", placeholder: "dBTP", description: "Maximum true peak when normalizing loudness", default: DEFAULT_TRUE_PEAK },
+        output: { type: "string", short: "o", placeholder: "file", description: "Output file (default: <directory>/mixed/mixed_output.mp3)" },
+        force: OUTPUT_OPTIONS.force
+    },
+    async run(values, positionals) {
+        await mixAudios(positionals[0], {
+            loudness: parseLoudnessTarget(values.loudness, 'loudness'),
+            truePeak: toNumber(values["true-peak"], 'true-peak'),
+            output: values.output,
+            force: values.force
+        });
+    }
+};
 
-        logWithTimestamp(`Found ${audioFiles.length} MP3 files to mix`);
-        await mixAudio(audioFiles);
-        logWithTimestamp("Audio mixing completed successfully!");
+module.exports = { command, mixAudios };
 
-    } catch (error) {
-        console.error("Error during processing:", error);
-        process.exit(1);
-    }
+if (require.main === module) {
+    runCommand(command, process.argv.slice(2), "node mixAudio.js");
 }
-
-// Run the main function
-processAudio(); 
\ No newline at end of file
@@ -0,0 +1,235 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { UsageError, parseCommandArgs, runCommand } = require("./lib/cli");
+const { logWithTimestamp } = require("./lib/ffmpeg");
+const { FORMAT_EXTENSIONS: GIF_EXTENSIONS } = require("./gifmaker");
+
+const MANIFEST_FILE = "manifest.json";
+
+// Tools that can be chained in a job. Each takes one input and writes one output;
+// an empty extension means the output is a directory.
+const STEP_TOOLS = {
+  trim: { command: require("./trim").command, extension: () => ".mp4" },
+  fadeout: { command: require("./fadeout").command, extension: () => ".mp4" },
+  concat: { command: require("./concat").command, extension: () => ".mp4" },
+  shortify: { command: require("./shortify").command, extension: () => ".mp4" },
+  highlight: { command: require("./highlight").command, extension: () => ".mp4" },
+  gif: {
+    command: require("./gifmaker").command,
+    extension: options => GIF_EXTENSIONS[String(options.format || "GIF").toUpperCase()] || ".gif"
+  },
+  stills: { command: require("./extractStills").command, extension: () => "" },
+  shrink: { command: require("./shrinkscorevid").command, extension: () => ".mp4" }
+};
+
+// Load a job file (JSON, or YAML when the yaml package is installed)
+function loadJob(jobFile) {
+  const text = fs.readFileSync(jobFile, "utf8");
+  const ext = path.extname(jobFile).toLowerCase();
+
+  if (ext === ".yaml" || ext === ".yml") {
+    let yaml;
+    try {
+      yaml = require("yaml");
+    } catch (error) {
+      throw new UsageError("YAML job files need the 'yaml' package (npm install yaml); use a .json job file otherwise");
+    }
+    return yaml.parse(text);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new UsageError(`Could not parse ${jobFile}: ${error.message}`);
+  }
+}
+
+// Helper to turn a step's options object into the argv its command expects
+function toArgv(step) {
+  const argv = [step.input, "--output", step.output];
+  for (const [name, value] of Object.entries(step.options)) {
+    if (name === "output") {
+      throw new UsageError(`Step '${step.id}': set 'output' on the step, not inside 'options'`);
+    }
+    if (value === false || value === null || value === undefined) continue;
+    if (value === true) {
+      argv.push(`--${name}`);
+    } else if (Array.isArray(value)) {
+      value.forEach(item => argv.push(`--${name}`, String(item)));
+    } else {
+      argv.push(`--${name}`, String(value));
+    }
+  }
+  return argv;
+}
+
+// Validate a job and resolve every step's id, input and output.
+// Relative paths in the job are resolved against the job file's directory.
+function planJob(job, jobDir) {
+  if (!job || typeof job !== "object") throw new UsageError("Job file must contain an object");
+  if (!job.input) throw new UsageError("Job is missing 'input'");
+  if (!Array.isArray(job.steps) || job.steps.length === 0) {
+    throw new UsageError("Job needs at least one entry in 'steps'");
+  }
+
+  const input = path.resolve(jobDir, job.input);
+  const baseName = path.basename(input, path.extname(input));
+  const workDir = path.resolve(jobDir, job.workDir || `${baseName}_work`);
+
+  const steps = [];
+  const stepsById = { input: { output: input, isDirectory: false } };
+
+  job.steps.forEach((spec, index) => {
+    const tool = STEP_TOOLS[spec.tool];
+    if (!tool) {
+      throw new UsageError(`Step ${index + 1}: unknown tool '${spec.tool}' (expected one of: ${Object.keys(STEP_TOOLS).join(", ")})`);
+    }
+
+    const sameTool = job.steps.filter(other => other.tool === spec.tool).length;
+    const id = spec.id || (sameTool > 1 ? `${spec.tool}${index + 1}` : spec.tool);
+    if (stepsById[id]) throw new UsageError(`Step ${index + 1}: duplicate step id '${id}'`);
+
+    const from = spec.from || (steps.length > 0 ? steps[steps.length - 1].id : "input");
+    const source = stepsById[from];
+    if (!source) throw new UsageError(`Step '${id}': 'from' refers to unknown step '${from}'`);
+    if (source.isDirectory) throw new UsageError(`Step '${id}': cannot take the '${from}' output (a directory) as input`);
+
+    const options = spec.options || {};
+    const extension = tool.extension(options);
+    const output = spec.output
+      ? path.resolve(jobDir, spec.output)
+      : path.join(workDir, `${String(index + 1).padStart(2, "0")}_${id}${extension}`);
+
+    const step = { id, tool: spec.tool, from, input: source.output, output, options, isDirectory: extension === "" };
+    step.argv = toArgv(step);
+    step.signature = crypto.createHash("sha1")
+      .update(JSON.stringify({ tool: step.tool, input: step.input, options }))
+      .digest("hex");
+
+    // Validate the options now so a typo fails before any encoding starts
+    parseCommandArgs(tool.command, step.argv);
+
+    steps.push(step);
+    stepsById[id] = step;
+  });
+
+  return { input, workDir, steps };
+}
+
+// Helper to read the manifest of a previous run (empty when there is none)
+function readPreviousManifest(manifestFile) {
+  try {
+    return JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+  } catch (error) {
+    return { steps: [] };
+  }
+}
+
+// A step is up to date when its output is newer than its input and it ran with the same options
+function isUpToDate(step, previousManifest) {
+  const previous = previousManifest.steps.find(entry => entry.id === step.id);
+  if (!previous || previous.status === "failed" || previous.signature !== step.signature) return false;
+  if (!fs.existsSync(step.output) || !fs.existsSync(step.input)) return false;
+  return fs.statSync(step.output).mtimeMs >= fs.statSync(step.input).mtimeMs;
+}
+
+// Main processing function; runs every step in order and resolves to the manifest
+async function runJob(jobFile, options = {}) {
+  const job = loadJob(jobFile);
+  const plan = planJob(job, path.dirname(path.resolve(jobFile)));
+
+  if (!fs.existsSync(plan.input)) {
+    throw new Error(`Input video not found: ${plan.input}`);
+  }
+
+  await fs.promises.mkdir(plan.workDir, { recursive: true });
+  const manifestFile = path.join(plan.workDir, MANIFEST_FILE);
+  const previousManifest = options.force ? { steps: [] } : readPreviousManifest(manifestFile);
+
+  const manifest = {
+    job: path.resolve(jobFile),
+    input: plan.input,
+    workDir: plan.workDir,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    steps: [],
+    artifacts: []
+  };
+
+  async function writeManifest() {
+    await fs.promises.writeFile(manifestFile, JSON.stringify(manifest, null, 2));
+  }
+
+  for (const step of plan.steps) {
+    const entry = {
+      id: step.id,
+      tool: step.tool,
+      input: step.input,
+      output: step.output,
+      options: step.options,
+      signature: step.signature,
+      status: "pending",
+      seconds: 0
+    };
+    manifest.steps.push(entry);
+
+    if (isUpToDate(step, previousManifest)) {
+      logWithTimestamp(`Skipping step '${step.id}' (${step.tool}): output is up to date`);
+      entry.status = "up-to-date";
+      manifest.artifacts.push(step.output);
+      continue;
+    }
+
+    logWithTimestamp(`Running step '${step.id}' (${step.tool}): ${step.input} -> ${step.output}`);
+    await fs.promises.mkdir(path.dirname(step.output), { recursive: true });
+
+    const started = Date.now();
+    try {
+      const { command } = STEP_TOOLS[step.tool];
+      // The job decides when a step re-runs, so its outputs are always replaced
+      const argv = command.options.force ? [...step.argv, "--force"] : step.argv;
+      const { values, positionals } = parseCommandArgs(command, argv);
+      await command.run(values, positionals);
+      entry.status = "built";
+    } catch (error) {
+      entry.status = "failed";
+      entry.error = error.message;
+      entry.seconds = Number(((Date.now() - started) / 1000).toFixed(1));
+      manifest.finishedAt = new Date().toISOString();
+      await writeManifest();
+      throw error;
+    }
+    entry.seconds = Number(((Date.now() - started) / 1000).toFixed(1));
+
+    manifest.artifacts.push(step.output);
+  }
+
+  manifest.finishedAt = new Date().toISOString();
+  await writeManifest();
+
+  logWithTimestamp(`Job complete. Manifest saved as: ${manifestFile}`);
+  for (const artifact of manifest.artifacts) {
+    logWithTimestamp(`Artifact: ${artifact}`);
+  }
+  return manifest;
+}
+
+const command = {
+  name: "run",
+  summary: "Run a job file that chains several tools over one score video",
+  usage: "<job.json> [options]",
+  minPositionals: 1,
+  options: {
+    force: { type: "boolean", short: "f", description: "Re-run every step even if its output is up to date" }
+  },
+  async run(values, positionals) {
+    await runJob(positionals[0], { force: values.force });
+  }
+};
+
+module.exports = { command, planJob, runJob };
+
+if (require.main === module) {
+  runCommand(command, process.argv.slice(2), "node pipeline.js");
+}
@@ -0,0 +1,242 @@
+const fs = require("fs");
+const path = require("path");
+const { runCommand, toNumber, UsageError } = require("./lib/cli");
+const { isDryRun, logWithTimestamp, runFfmpeg, setDryRun } = require("./lib/ffmpeg");
+const { OUTPUT_OPTIONS, claimOutput, logOutput, makeTempDir, outputName, removeTempDir, writeOutputFile } = require("./lib/output");
+const { checkAnimation, detectPages, extractPageImages } = require("./lib/pages");
+const { formatChapterTime } = require("./lib/chapters");
+const { SAME_PAGE_DISTANCE, differenceHash, hammingDistance } = require("./lib/phash");
+const { writeImagePdf } = require("./lib/pdf");
+const { findContentBounds, inkProfiles, readGrayFrame } = require("./lib/scoreAnalysis");
+const { escapeFilterValue } = require("./lib/titleCard");
+
+const PDF_SUFFIX = "_score.pdf";
+const SHEET_SUFFIX = "_contact.png";
+const DEFAULT_COLUMNS = 4;
+const DEFAULT_THUMB_WIDTH = 480;
+// Space kept around the score when cropping, as a fraction of the page size
+const CROP_MARGIN = 0.02;
+// Image files accepted from a stills directory
+const IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg", ".webp", ".bmp"];
+
+// Helper naming an output after the input; a stills folder from `sfh stills` is named
+// after its video ("piece_stills" -> "piece_score.pdf")
+function previewOutputName(input, suffix) {
+  return outputName(path.basename(input).replace(/_stills$/, ""), suffix);
+}
+
+// Function to collect the page images: the images in a stills directory (in natural order,
+// times unknown) or the pages extracted from a video with the time each one appears.
+// Resolves to [{ file, time }].
+async function collectStills(input, workDir, allowAnimation) {
+  const stat = await fs.promises.stat(input).catch(() => null);
+  if (!stat) {
+    throw new UsageError(`Input not found: ${input}`);
+  }
+
+  if (stat.isDirectory()) {
+    const files = (await fs.promises.readdir(input))
+      .filter(file => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    if (files.length === 0) {
+      throw new UsageError(`No images found in ${input}`);
+    }
+    return files.map(file => ({ file: path.join(input, file), time: null }));
+  }
+
+  const result = await detectPages(input);
+  checkAnimation(result, input, allowAnimation);
+  const files = await extractPageImages(input, result.pages, index => path.join(workDir, `page_${index + 1}.png`));
+  return files.map((file, index) => ({ file, time: result.pages[index].start }));
+}
+
+// Helper to find where the music is on a page, as fractions of its size; null for a blank page
+function findContentBox(frame) {
+  const { columns, rows } = inkProfiles(frame);
+  const across = findContentBounds(columns);
+  const down = findContentBounds(rows);
+  if (!across || !down) return null;
+  return {
+    left: across.start / columns.length,
+    right: (across.end + 1) / columns.length,
+    top: down.start / rows.length,
+    bottom: (down.end + 1) / rows.length
+  };
+}
+
+// Function to hash every still and drop those that show a page already kept (including
+// pages that come back for a repeat). Resolves to the kept stills with their hash and
+// content box.
+async function dedupePages(stills, maxDistance) {
+  const pages = [];
+  for (const still of stills) {
+    const frame = await readGrayFrame(still.file);
+    const hash = differenceHash(frame);
+    const duplicate = pages.find(page => hammingDistance(page.hash, hash) <= maxDistance);
+    if (duplicate) {
+      logWithTimestamp(`${path.basename(still.file)} repeats page ${pages.indexOf(duplicate) + 1}; skipping`);
+      continue;
+    }
+    pages.push({ ...still, hash, box: findContentBox(frame) });
+  }
+  return pages;
+}
+
+// Helper to find the score area shared by all pages, as fractions of the page size
+// { x, y, w, h }; null when the pages are blank
+function findScoreArea(pages) {
+  let area = null;
+  for (const { box } of pages) {
+    if (!box) continue;
+    area = area ? {
+      left: Math.min(area.left, box.left),
+      right: Math.max(area.right, box.right),
+      top: Math.min(area.top, box.top),
+      bottom: Math.max(area.bottom, box.bottom)
+    } : box;
+  }
+  if (!area) return null;
+
+  const left = Math.max(0, area.left - CROP_MARGIN);
+  const top = Math.max(0, area.top - CROP_MARGIN);
+  return {
+    x: left,
+    y: top,
+    w: Math.min(1, area.right + CROP_MARGIN) - left,
+    h: Math.min(1, area.bottom + CROP_MARGIN) - top
+  };
+}
+
+// Helper building the crop filter for a score area ('' without one)
+function cropFilter(area) {
+  if (!area) return "";
+  return `crop=trunc(iw*${area.w.toFixed(4)}/2)*2:trunc(ih*${area.h.toFixed(4)}/2)*2:iw*${area.x.toFixed(4)}:ih*${area.y.toFixed(4)},`;
+}
+
+// Function to write the pages as a PDF, one page per image
+async function writeScorePdf(pages, area, outputFile, workDir, title) {
+  const jpegFiles = [];
+  for (let i = 0; i < pages.length; i++) {
+    const jpegFile = path.join(workDir, `pdf_${i + 1}.jpg`);
+    await runFfmpeg(
+      ['-y', '-loglevel', 'error', '-i', pages[i].file, '-vf', `${cropFilter(area)}format=yuvj444p`, '-q:v', 2, '-frames:v', 1, jpegFile],
+      `Preparing PDF page ${i + 1} of ${pages.length}`
+    );
+    jpegFiles.push(jpegFile);
+  }
+  // A dry run has no JPEGs to put in the PDF
+  if (isDryRun()) return;
+  await writeImagePdf(jpegFiles, outputFile, { title });
+}
+
+// Function to render the contact sheet: a grid of numbered thumbnails, with the time each
+// page appears when it is known
+async function writeContactSheet(pages, area, outputFile, workDir, options) {
+  const thumbWidth = options.thumbWidth;
+  const thumbHeight = Math.round(thumbWidth * 1.3 / 2) * 2;
+  const labelHeight = Math.round(thumbWidth * 0.1 / 2) * 2;
+  const fontArgs = options.font ? `:fontfile='${escapeFilterValue(options.font)}'` : "";
+
+  for (let i = 0; i < pages.length; i++) {
+    const labelFile = path.join(workDir, `label_${i + 1}.txt`);
+    const time = pages[i].time;
+    await writeOutputFile(labelFile, time === null ? `${i + 1}` : `${i + 1}   ${formatChapterTime(time)}`);
+    await runFfmpeg([
+      '-y', '-loglevel', 'error', '-i', pages[i].file,
+      '-vf', `${cropFilter(area)}scale=${thumbWidth}:${thumbHeight}:force_original_aspect_ratio=decrease:flags=lanczos,` +
+        `pad=${thumbWidth}:${thumbHeight + labelHeight}:(ow-iw)/2:(${thumbHeight}-ih)/2:white,` +
+        `drawtext=textfile='${escapeFilterValue(labelFile)}'${fontArgs}:expansion=none:fontcolor=black` +
+        `:fontsize=${Math.round(labelHeight * 0.6)}:x=(w-text_w)/2:y=${thumbHeight}+(${labelHeight}-text_h)/2`,
+      '-frames:v', 1, path.join(workDir, `thumb_${i + 1}.png`)
+    ], `Rendering thumbnail ${i + 1} of ${pages.length}`);
+  }
+
+  const columns = Math.min(options.columns, pages.length);
+  const rows = Math.ceil(pages.length / columns);
+  const gap = Math.round(thumbWidth * 0.05);
+  await runFfmpeg([
+    '-y', '-framerate', 1, '-i', path.join(workDir, 'thumb_%d.png'),
+    '-vf', `tile=${columns}x${rows}:padding=${gap}:margin=${gap}:color=white`,
+    '-frames:v', 1, outputFile
+  ], `Tiling ${pages.length} thumbnails into a ${columns}x${rows} contact sheet`);
+}
+
+// Main processing function; resolves to { pdf, sheet, pages }
+async function scorePreview(input, options = {}) {
+  setDryRun(options.dryRun);
+  const pdfFile = claimOutput(options.pdf || previewOutputName(input, PDF_SUFFIX), options.force);
+  const sheetFile = claimOutput(options.sheet || previewOutputName(input, SHEET_SUFFIX), options.force);
+  const maxDistance = options.threshold !== undefined ? options.threshold : SAME_PAGE_DISTANCE;
+
+  logWithTimestamp(`Processing: ${input}`);
+  const workDir = await makeTempDir("sfh-preview-");
+  try {
+    const stills = await collectStills(input, workDir, options.allowAnimation);
+    // A dry run never extracts a video's pages, so there is nothing to compare or crop
+    const extracted = stills.every(still => fs.existsSync(still.file));
+    const pages = extracted ? await dedupePages(stills, maxDistance) : stills.map(still => ({ ...still, box: null }));
+    logWithTimestamp(`${stills.length} stills, ${pages.length} distinct pages`);
+
+    let area = null;
+    if (options.crop && extracted) {
+      area = findScoreArea(pages);
+      if (area) {
+        logWithTimestamp(`Cropping to the score area: ${(area.w * 100).toFixed(0)}% x ${(area.h * 100).toFixed(0)}% from (${(area.x * 100).toFixed(0)}%, ${(area.y * 100).toFixed(0)}%)`);
+      } else {
+        logWithTimestamp("No score found on the pages; not cropping");
+      }
+    }
+
+    await writeScorePdf(pages, area, pdfFile, workDir, options.title || path.basename(input, path.extname(input)));
+    logOutput("PDF", pdfFile);
+    await writeContactSheet(pages, area, sheetFile, workDir, {
+      columns: options.columns || DEFAULT_COLUMNS,
+      thumbWidth: options.thumbWidth || DEFAULT_THUMB_WIDTH,
+      font: options.font
+    });
+    logOutput("Contact sheet", sheetFile);
+    return { pdf: pdfFile, sheet: sheetFile, pages: pages.length };
+  } finally {
+    await removeTempDir(workDir);
+  }
+}
+
+const command = {
+  name: "preview",
+  summary: "Rebuild the score as a PDF and a contact sheet from a score video or a stills folder",
+  usage: "<video|stills dir> [options]",
+  minPositionals: 1,
+  options: {
+    pdf: { type: "string", placeholder: "file", description: `PDF output (default: <input name>${PDF_SUFFIX})` },
+    sheet: { type: "string", short: "s", placeholder: "file", description: `Contact sheet image output (default: <input name>${SHEET_SUFFIX})` },
+    crop: { type: "boolean", short: "c", description: "Crop the pages to the score area" },
+    threshold: { type: "string", short: "t", placeholder: "bits", description: "Pages whose hashes differ in at most this many of 64 bits are duplicates", default: SAME_PAGE_DISTANCE },
+    columns: { type: "string", placeholder: "count", description: "Thumbnails per row on the contact sheet", default: DEFAULT_COLUMNS },
+    "thumb-width": { type: "string", placeholder: "pixels", description: "Thumbnail width on the contact sheet", default: DEFAULT_THUMB_WIDTH },
+    title: { type: "string", placeholder: "text", description: "PDF document title (default: the input name)" },
+    font: { type: "string", placeholder: "file", description: "Font file for the contact sheet labels" },
+    "allow-animation": { type: "boolean", description: "Use the still stretches of an animated video instead of stopping" },
+    ...OUTPUT_OPTIONS
+  },
+  async run(values, positionals) {
+    await scorePreview(positionals[0], {
+      pdf: values.pdf,
+      sheet: values.sheet,
+      crop: values.crop,
+      threshold: toNumber(values.threshold, 'threshold', { min: 0, integer: true }),
+      columns: toNumber(values.columns, 'columns', { min: 1, integer: true }),
+      thumbWidth: toNumber(values["thumb-width"], 'thumb-width', { min: 32, integer: true }),
+      title: values.title,
+      font: values.font,
+      allowAnimation: values["allow-animation"],
+      force: values.force,
+      dryRun: values["dry-run"]
+    });
+  }
+};
+
+module.exports = { command, scorePreview };
+
+if (require.main === module) {
+  runCommand(command, process.argv.slice(2), "node scorePreview.js");
+}
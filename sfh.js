@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+const { runGroup } = require("./lib/cli");
+
+// Every subcommand of the sfh entrypoint; nested objects are command groups
+const COMMANDS = {
+  concat: require("./concat").command,
+  shortify: require("./shortify").command,
+  gif: require("./gifmaker").command,
+  stills: require("./extractStills").command,
+  preview: require("./scorePreview").command,
+  fadeout: require("./fadeout").command,
+  trim: require("./trim").command,
+  loudnorm: require("./loudnorm").command,
+  chapters: require("./chapters").command,
+  highlight: require("./highlight").command,
+  audio: {
+    extract: require("./extractAudio").command,
+    mix: require("./mixAudio").command
+  },
+  composite: require("./compositeVideo").command,
+  granular: require("./granularVideo").command,
+  outros: require("./makeOutros").commands,
+  shrink: require("./shrinkscorevid").command,
+  run: require("./pipeline").command
+};
+
+module.exports = { COMMANDS };
+
+if (require.main === module) {
+  runGroup(COMMANDS, process.argv.slice(2), "sfh");
+}
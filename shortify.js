@@ -1,306 +1,450 @@
-const { exec, spawn } = require("child_process");
-const util = require("util");
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
-
-// Promisify exec and fs functions
-const execPromise = util.promisify(exec);
-const writeFile = util.promisify(fs.writeFile);
-const unlink = util.promisify(fs.unlink);
-
-// Input arguments
-const inputVideo = process.argv[2];
-
-// Validate input arguments
-if (!inputVideo) {
-  console.error("Usage: node shortify.js <inputVideo>");
-  process.exit(1);
-}
+const { runCommand, toChoice, toNumber } = require("./lib/cli");
+const { batchable } = require("./lib/batch");
+const { logWithTimestamp, probe, runFfmpeg } = require("./lib/ffmpeg");
+const { OUTPUT_OPTIONS, claimOutput, outputName } = require("./lib/output");
+const { DEFAULT_TRUE_PEAK, normalizeLoudness, parseLoudnessTarget } = require("./lib/loudness");
+const {
+  FIT_MODES,
+  MAX_SPEEDUP,
+  PLATFORM_PRESETS,
+  fitDuration,
+  presetAudioArgs,
+  presetVideoArgs,
+  validatePlatformOutput
+} = require("./lib/platforms");
+const {
+  findContentBounds,
+  findSystems,
+  inkProfiles,
+  planPanPath,
+  readGrayFrame
+} = require("./lib/scoreAnalysis");
+const { cursorAt, parseHexColor, trackCursor } = require("./lib/cursor");
+const { checkAnimation, detectPages, extractPageImages } = require("./lib/pages");
+const { audioFadeFilters } = require("./lib/fades");
+const { CAPTION_MODES, loadCaptions, retimeCaptions, subtitleCodec, subtitlesFilter, writeSrt } = require("./lib/captions");
+const { FILL_MODES, frameFilterGraph, frameLayout, loadFrameTemplate, resolveFrame } = require("./lib/frame");
 
 // Constants
-const TEMP_DIR = `temp_shortify_${Date.now()}`;
-const OUTPUT_FILE = "_shorted.mp4";
+const OUTPUT_SUFFIX = "_shorted.mp4";
 const FRAME_RATE = 60;
+// Fade applied to the audio when a piece is trimmed to a platform's maximum length
+const TRIM_FADE = 2;
+// How the view moves: 'smart' follows the music on each still, 'linear' sweeps each still at
+// constant speed and 'cursor' follows the playback highlight through the original video
+const PAN_MODES = ["smart", "linear", "cursor"];
+// 'pan' moves a window across each page; 'stack' slices each page into systems stacked vertically
+const LAYOUTS = ["pan", "stack"];
+// Space between stacked systems (fraction of the canvas height) and the margin kept
+// around each system when it is cut out (fraction of the page height)
+const STACK_GAP = 0.03;
+const STACK_MARGIN = 0.015;
+// Most pieces a system is cut into when the canvas has room to show it larger
+const MAX_SYSTEM_PIECES = 3;
+// Largest zoom onto a page's systems, and the margin kept around them (fraction of page height)
+const MAX_ZOOM = 1.6;
+const ZOOM_MARGIN = 0.04;
+
+// Function to save a still of each page and capture when each page starts. An animated
+// video isn't refused: its still stretches are panned across instead.
+async function extractStills(inputVideo, tempDir) {
+  const stillsDir = path.join(tempDir, 'stills');
+  await fs.promises.mkdir(stillsDir, { recursive: true });
+
+  const result = await detectPages(inputVideo);
+  checkAnimation(result, inputVideo, true);
+  const files = await extractPageImages(inputVideo, result.pages, index => path.join(stillsDir, `frame_${index + 1}.png`));
 
-// Helper function for logging with timestamps
-function logWithTimestamp(message) {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${message}`);
+  logWithTimestamp(`Extracted ${files.length} still frames`);
+  return {
+    stillsDir,
+    frameFiles: files.map(file => path.basename(file)),
+    timestamps: result.pages.map(page => page.start)
+  };
 }
 
-// Helper to extract scene-change timestamps via showinfo (reads stderr, no shell redirection)
-async function extractSceneTimestampsFromShowinfo(video, threshold) {
-  const cmd = `ffmpeg -hide_banner -loglevel info -nostats -i "${video}" -vf "select='if(eq(n,0),1,gt(scene,${threshold}))',showinfo" -f null -`;
-  const { stderr } = await execPromise(cmd);
-  const timestamps = [];
-  const lines = stderr.split('\n');
-  for (const line of lines) {
-    const m = line.match(/pts_time:([\d\.]+)/);
-    if (m) {
-      const t = parseFloat(m[1]);
-      if (!isNaN(t)) timestamps.push(t);
+// Function to pick the output format: a platform preset, or a portrait size based on the input resolution
+function getExportSettings(videoInfo, preset, fit) {
+  if (preset) {
+    const fitted = fitDuration(videoInfo.duration, preset, fit);
+    logWithTimestamp(`Exporting for ${preset.label}: ${preset.width}x${preset.height} at ${preset.fps} fps, max ${preset.maxDuration}s`);
+    if (fitted.speed !== 1) {
+      logWithTimestamp(`Piece is ${videoInfo.duration.toFixed(1)}s; speeding up ${fitted.speed.toFixed(3)}x`);
+    }
+    if (fitted.trimmed) {
+      logWithTimestamp(`Piece is too long for ${preset.label}; trimming to ${preset.maxDuration}s`);
     }
+    return {
+      width: preset.width,
+      height: preset.height,
+      fps: preset.fps,
+      speed: fitted.speed,
+      duration: fitted.duration,
+      trimTo: fitted.trimmed ? fitted.duration : null,
+      videoArgs: presetVideoArgs(preset),
+      audioArgs: presetAudioArgs(preset),
+      containerArgs: ['-movflags', '+faststart']
+    };
   }
-  return timestamps;
-}
 
-// Helper function for executing FFmpeg commands
-async function safeExec(command, stepDescription) {
-  try {
-    logWithTimestamp(`Starting: ${stepDescription}`);
-    await execPromise(command);
-    logWithTimestamp(`Completed: ${stepDescription}`);
-  } catch (error) {
-    console.error(`Failed during: ${stepDescription}\nCommand: ${command}\nError: ${error.message}`);
-    process.exit(1);
+  const settings = {
+    fps: FRAME_RATE,
+    speed: 1,
+    duration: videoInfo.duration,
+    trimTo: null,
+    videoArgs: ['-c:v', 'libx264', '-pix_fmt', 'yuv420p'],
+    audioArgs: ['-c:a', 'aac'],
+    containerArgs: []
+  };
+  if (videoInfo.height >= 2160) {
+    // 4K input -> 4K portrait (2160x3840)
+    logWithTimestamp("Detected 4K input, outputting 4K portrait (2160x3840)");
+    return { ...settings, width: 2160, height: 3840 };
   }
+  // 1080p or lower -> 1080p portrait (608x1080)
+  logWithTimestamp("Detected 1080p or lower input, outputting 1080p portrait (608x1080)");
+  return { ...settings, width: 608, height: 1080 };
 }
 
-// Function to get video dimensions and duration
-async function getVideoInfo(video) {
-  // Get video width
-  const { stdout: width } = await execPromise(
-    `ffprobe -v error -select_streams v:0 -show_entries stream=width -of default=noprint_wrappers=1:nokey=1 "${video}"`
-  );
-  
-  // Get video height
-  const { stdout: height } = await execPromise(
-    `ffprobe -v error -select_streams v:0 -show_entries stream=height -of default=noprint_wrappers=1:nokey=1 "${video}"`
-  );
-  
-  // Get video duration
-  const { stdout: duration } = await execPromise(
-    `ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${video}"`
-  );
-  
-  return {
-    width: parseInt(width.trim()),
-    height: parseInt(height.trim()),
-    duration: parseFloat(duration.trim())
-  };
+// Helper to round a dimension to the even number libx264 requires
+function toEven(value) {
+  return Math.round(value / 2) * 2;
 }
 
-// Function to get video time base (num/den)
-async function getVideoTimeBase(video) {
-  const { stdout: timeBase } = await execPromise(
-    `ffprobe -v error -select_streams v:0 -show_entries stream=time_base -of default=noprint_wrappers=1:nokey=1 "${video}"`
-  );
-  const tb = timeBase.trim();
-  const [numStr, denStr] = tb.split("/");
-  const num = parseInt(numStr, 10);
-  const den = parseInt(denStr, 10);
-  return { num, den };
+// Helper to turn pan keyframes into a piecewise-linear crop x expression over t
+function panExpression(keyframes, duration) {
+  const points = keyframes.map(keyframe => ({ t: keyframe.u * duration, x: keyframe.x }));
+  let expression = points[points.length - 1].x.toFixed(2);
+  for (let k = points.length - 2; k >= 0; k--) {
+    const from = points[k];
+    const to = points[k + 1];
+    const span = to.t - from.t;
+    if (span <= 0) continue;
+    expression = `if(lt(t,${to.t.toFixed(4)}),${from.x.toFixed(2)}+${(to.x - from.x).toFixed(2)}*(t-${from.t.toFixed(4)})/${span.toFixed(4)},${expression})`;
+  }
+  return expression;
 }
 
-// Function to extract still frames using scene detection and capture timestamps
-async function extractStills(inputVideo) {
-  const stillsDir = path.join(TEMP_DIR, 'stills');
-  
-  // Create temporary directory
-  await fs.promises.mkdir(stillsDir, { recursive: true });
-  
-  let timestamps = [];
-  let usedRegularIntervals = false;
-  
-  try {
-    // Extract frames with scene detection and write filenames with sequential index
-    logWithTimestamp("Extracting frames with scene detection...");
-    await safeExec(
-      `ffmpeg -hide_banner -loglevel error -i "${inputVideo}" -vf "select='if(eq(n,0),1,gt(scene,0.01))'" -vsync vfr "${stillsDir}/frame_%d.png"`,
-      "Extracting frames with scene detection"
-    );
-
-    // Independently extract timestamps via showinfo (stderr parsed directly)
-    const sceneTimestamps = await extractSceneTimestampsFromShowinfo(inputVideo, 0.01);
-    if (sceneTimestamps.length > 0) {
-      timestamps = sceneTimestamps;
-      logWithTimestamp(`Captured ${timestamps.length} timestamps via showinfo.`);
-    } else {
-      logWithTimestamp("No timestamps from showinfo; will fallback later if needed.");
-    }
-  } catch (error) {
-    logWithTimestamp("Scene detection failed, trying regular intervals");
-    usedRegularIntervals = true;
+// Function to work out how one still is scaled and cropped. 'smart' panning analyzes the
+// page's ink to dwell on the music and skip margins; with zoom the page is also enlarged
+// so its systems fill the frame height.
+async function planStillCrop(frameFile, videoInfo, settings, duration) {
+  const baseScale = settings.height / videoInfo.height;
+  if (settings.pan === "linear") {
+    const scaledWidth = Math.round(videoInfo.width * baseScale);
+    const panDistance = scaledWidth - settings.width;
+    return { scaledWidth, scaledHeight: settings.height, x: `${panDistance}*t/${duration}`, y: 0 };
   }
-  
-  // Get list of extracted frames
-  let files = await fs.promises.readdir(stillsDir);
-  let frameFiles = files
-    .filter(file => file.startsWith('frame_') && file.endsWith('.png'))
-    .sort((a, b) => {
-      const numA = parseInt(a.match(/frame_(\d+)\.png/)[1]);
-      const numB = parseInt(b.match(/frame_(\d+)\.png/)[1]);
-      return numA - numB;
-    });
-  
-  // If scene detection didn't find enough frames, extract frames at regular intervals
-  if (frameFiles.length < 2) {
-    logWithTimestamp("Scene detection found too few frames, extracting at regular intervals instead");
-    usedRegularIntervals = true;
-    
-    // Clear existing frames
-    for (const file of frameFiles) {
-      await fs.promises.unlink(path.join(stillsDir, file));
-    }
-    
-    // Extract frames every 2 seconds
-    await safeExec(
-      `ffmpeg -hide_banner -loglevel error -i "${inputVideo}" -vf "fps=0.5" -frame_pts 1 "${stillsDir}/frame_%d.png"`,
-      "Extracting frames at regular intervals"
-    );
-    
-    // Get the new frame list
-    files = await fs.promises.readdir(stillsDir);
-    frameFiles = files
-      .filter(file => file.startsWith('frame_') && file.endsWith('.png'))
-      .sort((a, b) => {
-        const numA = parseInt(a.match(/frame_(\d+)\.png/)[1]);
-        const numB = parseInt(b.match(/frame_(\d+)\.png/)[1]);
-        return numA - numB;
-      });
+
+  const frame = await readGrayFrame(frameFile);
+  const { columns, rows } = inkProfiles(frame);
+
+  let zoom = 1;
+  let contentCenter = frame.height / 2;
+  const systems = findSystems(rows);
+  if (settings.zoom && systems.length > 0) {
+    const margin = ZOOM_MARGIN * frame.height;
+    const top = Math.max(0, systems[0].start - margin);
+    const bottom = Math.min(frame.height, systems[systems.length - 1].end + 1 + margin);
+    zoom = Math.min(MAX_ZOOM, frame.height / (bottom - top));
+    if (zoom < 1.05) zoom = 1;
+    contentCenter = (top + bottom) / 2;
   }
-  
-  // If showinfo didn't yield timestamps, fallback to evenly distributing across duration
-  if (timestamps.length === 0 && frameFiles.length > 0) {
-    const videoInfo = await getVideoInfo(inputVideo);
-    const interval = videoInfo.duration / frameFiles.length;
-    timestamps = Array.from({ length: frameFiles.length }, (_, i) => i * interval);
-    logWithTimestamp(`Fallback timestamps (even distribution): ${timestamps.map(t=>t.toFixed(2)).join(', ')}`);
+
+  const scaledWidth = toEven(videoInfo.width * baseScale * zoom);
+  const scaledHeight = toEven(videoInfo.height * baseScale * zoom);
+  const toScaled = scaledWidth / frame.width;
+  const maxX = Math.max(0, scaledWidth - settings.width);
+  const maxY = Math.max(0, scaledHeight - settings.height);
+  const y = Math.min(maxY, Math.max(0, Math.round(contentCenter * (scaledHeight / frame.height) - settings.height / 2)));
+
+  const keyframes = planPanPath(columns, settings.width / toScaled).map(keyframe => ({
+    u: keyframe.u,
+    x: Math.min(maxX, Math.max(0, keyframe.x * toScaled))
+  }));
+  logWithTimestamp(`${path.basename(frameFile)}: ${systems.length} system(s), zoom ${zoom.toFixed(2)}x, pan ${keyframes[0].x.toFixed(0)}-${keyframes[keyframes.length - 1].x.toFixed(0)}px`);
+
+  return { scaledWidth, scaledHeight, x: panExpression(keyframes, duration), y };
+}
+
+// Helper building the end of every video graph: the branded frame when one is configured,
+// otherwise just the output frame rate and pixel format
+async function outputChain(input, output, settings, tempDir) {
+  const burn = settings.captions && settings.captions.mode === "burn";
+  if (!settings.frame) {
+    const captions = burn ? `,${subtitlesFilter(settings.captions.file)}` : "";
+    return `[${input}]fps=${settings.fps},format=yuv420p${captions}[${output}]`;
   }
 
-  logWithTimestamp(`Extracted ${frameFiles.length} still frames`);
-  return { stillsDir, frameFiles, usedRegularIntervals, timestamps };
+  const framed = await frameFilterGraph(input, burn ? 'framed' : output, settings.frame, settings.frameLayout, {
+    fps: settings.fps,
+    duration: settings.duration,
+    workDir: tempDir
+  });
+  if (!burn) return framed;
+
+  // Keep burned captions above the footer and progress bar
+  const { footer, progress, height } = settings.frameLayout;
+  const bottomMargin = (footer + progress) / height + 0.02;
+  return `${framed};[framed]${subtitlesFilter(settings.captions.file, { bottomMargin })}[${output}]`;
 }
 
-// Function to get frame timestamps that match exactly how we extracted the frames
-async function getFrameTimestamps(inputVideo, frameCount, usedRegularIntervals) {
-  const videoInfo = await getVideoInfo(inputVideo);
-  const timestamps = [];
-  
-  if (usedRegularIntervals) {
-    // If we used regular intervals for frame extraction, use the same for timestamps
-    logWithTimestamp("Using regular intervals for timestamps to match frame extraction");
-    const interval = videoInfo.duration / frameCount;
-    for (let i = 0; i < frameCount; i++) {
-      timestamps.push(interval * i);
-    }
+// Helper to calculate how long still i is shown
+function stillDuration(i, timestamps, videoInfo, settings) {
+  let duration;
+  if (i < timestamps.length - 1) {
+    duration = timestamps[i + 1] - timestamps[i];
   } else {
-    // If we used scene detection for frames, try to get the actual timestamps
-    try {
-      logWithTimestamp("Attempting to extract scene detection timestamps...");
-      const { stderr } = await execPromise(
-        `ffmpeg -i "${inputVideo}" -vf "select='if(eq(n,0),1,gt(scene,0.01))',showinfo" -f null - 2>&1`
-      );
-      
-      // Parse the stderr output to extract timestamps
-      const lines = stderr.split('\n');
-      for (const line of lines) {
-        const match = line.match(/n:\s*(\d+).*pts_time:([\d.]+)/);
-        if (match) {
-          timestamps.push(parseFloat(match[2]));
-        }
-      }
-      
-      // If we didn't get enough timestamps, fall back to regular intervals
-      if (timestamps.length < frameCount) {
-        logWithTimestamp(`Scene detection found ${timestamps.length} timestamps, using regular intervals`);
-        timestamps.length = 0;
-        const interval = videoInfo.duration / frameCount;
-        for (let i = 0; i < frameCount; i++) {
-          timestamps.push(interval * i);
-        }
-      }
-      
-    } catch (error) {
-      logWithTimestamp("Failed to extract scene timestamps, using regular intervals");
-      const interval = videoInfo.duration / frameCount;
-      for (let i = 0; i < frameCount; i++) {
-        timestamps.push(interval * i);
-      }
-    }
+    // For the last frame, use the remaining time to match total video duration
+    duration = videoInfo.duration - timestamps[i];
   }
-  
-  logWithTimestamp(`Final timestamps: ${timestamps.map(t => t.toFixed(2)).join(', ')}`);
-  return timestamps;
+  // A sped-up export shows every page for proportionally less time
+  return duration / settings.speed;
 }
 
 // Function to create panning video from still frames
-async function createPanningVideo(stillsDir, frameFiles, timestamps, videoInfo) {
-  const outputVideo = path.join(TEMP_DIR, 'panning_video.mp4');
+async function createPanningVideo(stillsDir, frameFiles, timestamps, videoInfo, tempDir, settings) {
+  const outputVideo = path.join(tempDir, 'panning_video.mp4');
   
   // Calculate panning parameters based on input resolution
   const landscapeWidth = videoInfo.width;
   const landscapeHeight = videoInfo.height;
+  const portraitHeight = settings.height;
+  const portraitWidth = settings.width;
   
-  // Detect if input is 4K or 1080p and set output accordingly
-  let portraitHeight, portraitWidth;
-  if (landscapeHeight >= 2160) {
-    // 4K input -> 4K portrait (2160x3840)
-    portraitHeight = 3840;
-    portraitWidth = 2160;
-    logWithTimestamp("Detected 4K input, outputting 4K portrait (2160x3840)");
-  } else {
-    // 1080p or lower -> 1080p portrait (608x1080)
-    portraitHeight = 1080;
-    portraitWidth = 608;
-    logWithTimestamp("Detected 1080p or lower input, outputting 1080p portrait (608x1080)");
-  }
-  
-  // Scale factor to fit landscape height to portrait height
+  // Scale factor to fit landscape height to portrait height (before any zoom)
   const scaleFactor = portraitHeight / landscapeHeight;
-  const scaledWidth = Math.round(landscapeWidth * scaleFactor);
-  
-  // Pan distance (how much we need to pan from left to right)
-  const panDistance = scaledWidth - portraitWidth;
   
-  logWithTimestamp(`Panning parameters: input=${landscapeWidth}x${landscapeHeight}, output=${portraitWidth}x${portraitHeight}, scale=${scaleFactor.toFixed(3)}, pan distance=${panDistance.toFixed(0)}px`);
+  logWithTimestamp(`Panning parameters: input=${landscapeWidth}x${landscapeHeight}, output=${portraitWidth}x${portraitHeight}, scale=${scaleFactor.toFixed(3)}, ${settings.pan} panning${settings.zoom ? " with zoom" : ""}`);
   
   // Create filter complex for each frame with panning
   let filterComplex = '';
-  let inputs = '';
+  const inputs = [];
   
   for (let i = 0; i < frameFiles.length; i++) {
     const frameFile = path.join(stillsDir, frameFiles[i]);
-    // Calculate duration for this frame segment
-    let duration;
-    if (i < timestamps.length - 1) {
-      duration = timestamps[i + 1] - timestamps[i];
-    } else {
-      // For the last frame, use the remaining time to match total video duration
-      duration = videoInfo.duration - timestamps[i];
-    }
+    const duration = stillDuration(i, timestamps, videoInfo, settings);
     
-    inputs += `-loop 1 -t ${duration} -i "${frameFile}" `;
+    inputs.push('-loop', '1', '-t', duration, '-i', frameFile);
     
-    // Create panning filter for this frame; force 60fps BEFORE crop so pan updates 60x/sec
-    filterComplex += `[${i}:v]fps=${FRAME_RATE},scale=${scaledWidth}:${portraitHeight},crop=${portraitWidth}:${portraitHeight}:'${panDistance}*t/${duration}':0,setpts=PTS-STARTPTS[v${i}];`;
+    // Create panning filter for this frame; force the output fps BEFORE crop so pan updates every frame
+    const crop = await planStillCrop(frameFile, videoInfo, settings, duration);
+    filterComplex += `[${i}:v]fps=${settings.fps},scale=${crop.scaledWidth}:${crop.scaledHeight},crop=${portraitWidth}:${portraitHeight}:'${crop.x}':${crop.y},setpts=PTS-STARTPTS[v${i}];`;
   }
   
   // Concatenate all panned frames
   for (let i = 0; i < frameFiles.length; i++) {
     filterComplex += `[v${i}]`;
   }
-  filterComplex += `concat=n=${frameFiles.length}:v=1:a=0[outv];[outv]fps=${FRAME_RATE},format=yuv420p[outv2]`;
-  
-  const cmd = `ffmpeg -y ${inputs}-filter_complex "${filterComplex}" -map "[outv2]" -c:v libx264 -pix_fmt yuv420p "${outputVideo}"`;
+  filterComplex += `concat=n=${frameFiles.length}:v=1:a=0[outv];${await outputChain('outv', 'outv2', settings, tempDir)}`;
   
-  await safeExec(cmd, "Creating panning video from still frames");
+  await runFfmpeg(
+    ['-y', ...inputs, '-filter_complex', filterComplex, '-map', '[outv2]', ...settings.videoArgs, outputVideo],
+    "Creating panning video from still frames"
+  );
   
   return outputVideo;
 }
 
-// Function to extract and reattach audio
-async function reattachAudio(inputVideo, panningVideo) {
+// Helper to divide the columns from start to end into pieces of about equal width,
+// cutting at the column with the least ink near each division so notes aren't split.
+// Returns the piece edges, in profile columns.
+function splitColumns(columns, start, end, pieces) {
+  const edges = [start];
+  const width = end - start;
+  const window = Math.round(width / pieces * 0.15);
+  for (let j = 1; j < pieces; j++) {
+    const target = Math.round(start + width * j / pieces);
+    let best = target;
+    for (let x = Math.max(0, target - window); x <= Math.min(columns.length - 1, target + window); x++) {
+      if (columns[x] < columns[best]) best = x;
+    }
+    edges.push(best);
+  }
+  edges.push(end);
+  return edges;
+}
+
+// Function to work out the filter chain that cuts one still into its systems and stacks them
+// on the portrait canvas. Pages where no systems are found are letterboxed whole.
+async function planStillStack(frameFile, videoInfo, settings, label) {
+  const frame = await readGrayFrame(frameFile);
+  const { columns, rows, inverted } = inkProfiles(frame);
+  const background = inverted ? "black" : "white";
+  const systems = findSystems(rows);
+  const columnBounds = findContentBounds(columns);
+  const toFull = videoInfo.width / frame.width;
+  const gap = Math.round(settings.height * STACK_GAP);
+
+  if (systems.length === 0 || !columnBounds) {
+    logWithTimestamp(`${path.basename(frameFile)}: no systems found, showing the whole page`);
+    return `[${label}]scale=${settings.width}:${settings.height}:force_original_aspect_ratio=decrease,` +
+      `pad=${settings.width}:${settings.height}:(ow-iw)/2:(oh-ih)/2:color=${background}`;
+  }
+
+  // Rows of each system and the page's horizontal extent in full-resolution pixels,
+  // with a margin so stems and slurs aren't clipped
+  const margin = STACK_MARGIN * frame.height;
+  const bands = systems.map(system => {
+    const top = Math.max(0, Math.floor((system.start - margin) * toFull));
+    const bottom = Math.min(videoInfo.height, Math.ceil((system.end + 1 + margin) * toFull));
+    return { y: top, height: bottom - top };
+  });
+  const contentStart = Math.max(0, columnBounds.start - margin);
+  const contentEnd = Math.min(frame.width, columnBounds.end + 1 + margin);
+
+  // Cut every system into as many pieces as still fit on the canvas: on a tall canvas a
+  // system split in two is shown twice as large
+  let layout = null;
+  for (let pieces = MAX_SYSTEM_PIECES; pieces >= 1; pieces--) {
+    const edges = splitColumns(columns, contentStart, contentEnd, pieces).map(x => Math.round(x * toFull));
+    const widest = Math.max(...edges.slice(1).map((edge, j) => edge - edges[j]));
+    const scale = settings.width / widest;
+    const count = bands.length * pieces;
+    const height = bands.reduce((sum, band) => sum + band.height * scale * pieces, 0) + gap * (count - 1);
+    layout = { edges, widest, height };
+    if (height <= settings.height) break;
+  }
+
+  // Shrink everything if even whole systems don't fit
+  const fit = Math.min(1, settings.height / layout.height);
+  const stackWidth = Math.floor(settings.width * fit / 2) * 2;
+  const scale = stackWidth / layout.widest;
+  const slices = [];
+  for (const band of bands) {
+    for (let j = 0; j < layout.edges.length - 1; j++) {
+      slices.push({ x: layout.edges[j], y: band.y, width: layout.edges[j + 1] - layout.edges[j], height: band.height });
+    }
+  }
+  logWithTimestamp(`${path.basename(frameFile)}: stacking ${bands.length} system(s) in ${slices.length} slice(s) at ${stackWidth}px wide`);
+
+  const parts = slices.map((slice, k) => {
+    // Rounded down so the stack never ends up taller than the canvas
+    const width = Math.floor(slice.width * scale / 2) * 2;
+    const height = Math.floor(slice.height * scale / 2) * 2;
+    const padding = k < slices.length - 1 ? gap : 0;
+    return `[${label}s${k}]crop=${slice.width}:${slice.height}:${slice.x}:${slice.y},scale=${width}:${height},` +
+      `pad=${stackWidth}:${height + padding}:0:0:color=${background}[${label}p${k}]`;
+  });
+  const split = slices.length > 1
+    ? `[${label}]split=${slices.length}${slices.map((_, k) => `[${label}s${k}]`).join("")};`
+    : `[${label}]null[${label}s0];`;
+  const stack = slices.length > 1
+    ? `${slices.map((_, k) => `[${label}p${k}]`).join("")}vstack=inputs=${slices.length}`
+    : `[${label}p0]null`;
+
+  return `${split}${parts.join(";")};${stack},` +
+    `pad=${settings.width}:${settings.height}:(ow-iw)/2:(oh-ih)/2:color=${background}`;
+}
+
+// Function to create the stacked-systems video: each page's systems, one above the other,
+// shown for as long as the page is shown in the original video
+async function createStackedVideo(stillsDir, frameFiles, timestamps, videoInfo, tempDir, settings) {
+  const outputVideo = path.join(tempDir, 'stacked_video.mp4');
+  const inputs = [];
+  let filterComplex = '';
+
+  logWithTimestamp(`Stacking systems: input=${videoInfo.width}x${videoInfo.height}, output=${settings.width}x${settings.height}`);
+
+  for (let i = 0; i < frameFiles.length; i++) {
+    const frameFile = path.join(stillsDir, frameFiles[i]);
+    inputs.push('-loop', '1', '-t', stillDuration(i, timestamps, videoInfo, settings), '-i', frameFile);
+
+    const layout = await planStillStack(frameFile, videoInfo, settings, `in${i}`);
+    filterComplex += `[${i}:v]null[in${i}];${layout},setsar=1,fps=${settings.fps},setpts=PTS-STARTPTS[v${i}];`;
+  }
+
+  for (let i = 0; i < frameFiles.length; i++) {
+    filterComplex += `[v${i}]`;
+  }
+  filterComplex += `concat=n=${frameFiles.length}:v=1:a=0[outv];${await outputChain('outv', 'outv2', settings, tempDir)}`;
+
+  await runFfmpeg(
+    ['-y', ...inputs, '-filter_complex', filterComplex, '-map', '[outv2]', ...settings.videoArgs, outputVideo],
+    "Creating stacked-systems video from still frames"
+  );
+
+  return outputVideo;
+}
+
+// Function to create the portrait video by cropping the original video around the playback
+// cursor. The crop position is driven per output frame through a sendcmd file.
+async function createCursorVideo(inputVideo, videoInfo, tempDir, settings) {
+  const outputVideo = path.join(tempDir, 'panning_video.mp4');
+  const commandFile = path.join(tempDir, 'cursor_commands.txt');
+
+  const { samples, detected } = await trackCursor(inputVideo, videoInfo, { color: settings.cursorColor });
+  logWithTimestamp(`Cursor found in ${detected} of ${samples.length} sampled frames`);
+
+  const scaledWidth = toEven(videoInfo.width * settings.height / videoInfo.height);
+  const maxX = Math.max(0, scaledWidth - settings.width);
+  const cropX = t => Math.round(Math.min(maxX, Math.max(0, cursorAt(samples, t) * scaledWidth - settings.width / 2)));
+
+  // One command per output frame; times are on the input timeline (before any speed-up)
+  const lines = [];
+  const frameTime = 1 / settings.fps;
+  let lastX = null;
+  for (let t = 0; t < videoInfo.duration; t += frameTime) {
+    const x = cropX(t);
+    if (x !== lastX) {
+      lines.push(`${t.toFixed(4)} crop@cursor x ${x};`);
+      lastX = x;
+    }
+  }
+  await fs.promises.writeFile(commandFile, lines.join("\n"));
+
+  const speedFilter = settings.speed !== 1 ? `,setpts=PTS/${settings.speed.toFixed(4)}` : "";
+  const filterComplex = `[0:v]sendcmd=f='${commandFile}',scale=${scaledWidth}:${settings.height},` +
+    `crop@cursor=${settings.width}:${settings.height}:${cropX(0)}:0${speedFilter}[outv];` +
+    await outputChain('outv', 'outv2', settings, tempDir);
+  await runFfmpeg(
+    ['-y', '-i', inputVideo, '-an', '-filter_complex', filterComplex, '-map', '[outv2]',
+      ...settings.videoArgs, outputVideo],
+    "Creating cursor-following video"
+  );
+
+  return outputVideo;
+}
+
+// Function to extract and reattach audio, normalizing its loudness when loudness options are given.
+// The audio is sped up and/or trimmed (with a short fade) to match the export settings.
+async function reattachAudio(inputVideo, panningVideo, outputFile, tempDir, loudness, settings) {
   // Extract audio from original video
-  const audioFile = path.join(TEMP_DIR, 'audio.aac');
-  await safeExec(
-    `ffmpeg -y -i "${inputVideo}" -vn -acodec aac "${audioFile}"`,
+  let audioFile = path.join(tempDir, 'audio.aac');
+  await runFfmpeg(
+    ['-y', '-i', inputVideo, '-vn', '-acodec', 'aac', audioFile],
     "Extracting audio from original video"
   );
+
+  if (loudness) {
+    const normalizedFile = path.join(tempDir, 'audio_normalized.aac');
+    await normalizeLoudness(audioFile, normalizedFile, loudness);
+    audioFile = normalizedFile;
+  }
   
+  const audioFilters = [];
+  if (settings.speed !== 1) {
+    audioFilters.push(`atempo=${settings.speed.toFixed(4)}`);
+  }
+  if (settings.trimTo) {
+    audioFilters.push(...audioFadeFilters(settings.trimTo, { fadeOut: TRIM_FADE }));
+  }
+
+  // Soft captions are muxed in the same pass
+  const captionArgs = settings.captions && settings.captions.mode === "soft"
+    ? ['-i', settings.captions.file, '-map', '0:v', '-map', '1:a', '-map', '2:s', '-c:s', subtitleCodec(outputFile)]
+    : [];
+
   // Combine panning video with audio
-  await safeExec(
-    `ffmpeg -y -i "${panningVideo}" -i "${audioFile}" -c:v copy -c:a aac -shortest "${OUTPUT_FILE}"`,
+  await runFfmpeg(
+    ['-y', '-i', panningVideo, '-i', audioFile, ...captionArgs, '-c:v', 'copy',
+      ...(audioFilters.length > 0 ? ['-af', audioFilters.join(",")] : []),
+      ...settings.audioArgs, '-shortest',
+      ...(settings.trimTo ? ['-t', settings.trimTo.toFixed(3)] : []),
+      ...settings.containerArgs, outputFile],
     "Combining panning video with audio"
   );
   
@@ -315,7 +459,7 @@ async function cleanup(files) {
         if (fs.statSync(file).isDirectory()) {
           await fs.promises.rm(file, { recursive: true });
         } else {
-          await unlink(file);
+          await fs.promises.unlink(file);
         }
         logWithTimestamp(`Deleted: ${file}`);
       }
@@ -325,48 +469,147 @@ async function cleanup(files) {
   }
 }
 
-// Main processing function
-async function processVideo() {
+// Function to check the output against the preset and log the result; fails if any check does
+async function reportPlatformValidation(outputFile, preset) {
+  const checks = await validatePlatformOutput(outputFile, preset);
+  logWithTimestamp(`${preset.label} validation:`);
+  for (const check of checks) {
+    logWithTimestamp(`  ${check.ok ? "ok  " : "FAIL"} ${check.name}: ${check.detail}`);
+  }
+
+  const failed = checks.filter(check => !check.ok);
+  if (failed.length > 0) {
+    throw new Error(`${outputFile} does not meet the ${preset.label} spec (${failed.map(check => check.name).join(", ")})`);
+  }
+}
+
+// Main processing function; resolves to the output path
+async function shortify(inputVideo, options = {}) {
+  const preset = options.preset ? PLATFORM_PRESETS[options.preset] : null;
+  const captions = options.captions ? loadCaptions(options.captions) : null;
+  const outputFile = claimOutput(options.output || outputName(inputVideo, OUTPUT_SUFFIX), options.force);
+  if (captions && options.captionsMode === "soft") subtitleCodec(outputFile);
+  const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "sfh-shortify-"));
+
   try {
     logWithTimestamp(`Processing video: ${inputVideo}`);
     
     // Get video information
-    const videoInfo = await getVideoInfo(inputVideo);
+    const videoInfo = await probe(inputVideo);
     logWithTimestamp(`Video dimensions: ${videoInfo.width}x${videoInfo.height}, duration: ${videoInfo.duration}s`);
-    
-    // Extract still frames and timestamps
-    const { stillsDir, frameFiles, usedRegularIntervals, timestamps } = await extractStills(inputVideo);
-    
-    // If we didn't get timestamps from scene detection, get them using regular intervals
-    let finalTimestamps = timestamps;
-    if (timestamps.length === 0) {
-      finalTimestamps = await getFrameTimestamps(inputVideo, frameFiles.length, usedRegularIntervals);
+    let settings = {
+      ...getExportSettings(videoInfo, preset, options.fit),
+      layout: options.layout || "pan",
+      pan: options.pan || "smart",
+      zoom: Boolean(options.zoom),
+      cursorColor: options.cursorColor
+    };
+
+    // With a branded frame the score is rendered into the area between header and footer
+    const frame = resolveFrame(options.template ? loadFrameTemplate(options.template) : null, options.frame || {});
+    if (frame) {
+      const layout = frameLayout(frame, settings.width, settings.height);
+      logWithTimestamp(`Branded frame: ${frame.fill} fill, score area ${layout.width}x${layout.contentHeight} at y=${layout.top}`);
+      settings = { ...settings, height: layout.contentHeight, frame, frameLayout: layout };
+    }
+    // Captions follow the short's timeline: sped up with the video and cut where it is trimmed
+    if (captions) {
+      const captionsFile = path.join(tempDir, 'captions.srt');
+      await writeSrt(retimeCaptions(captions, t => t / settings.speed, settings.duration || Infinity), captionsFile);
+      settings.captions = { file: captionsFile, mode: options.captionsMode || "burn" };
+    }
+
+    let panningVideo;
+    if (settings.layout === "pan" && settings.pan === "cursor") {
+      panningVideo = await createCursorVideo(inputVideo, videoInfo, tempDir, settings);
+    } else {
+      // Extract still frames and timestamps
+      const { stillsDir, frameFiles, timestamps } = await extractStills(inputVideo, tempDir);
+      logWithTimestamp(`Frame timestamps: ${timestamps.map(t => t.toFixed(2)).join(', ')}`);
+      
+      // Create panning (or stacked) video
+      panningVideo = settings.layout === "stack"
+        ? await createStackedVideo(stillsDir, frameFiles, timestamps, videoInfo, tempDir, settings)
+        : await createPanningVideo(stillsDir, frameFiles, timestamps, videoInfo, tempDir, settings);
     }
-    logWithTimestamp(`Frame timestamps: ${finalTimestamps.map(t => t.toFixed(2)).join(', ')}`);
-    
-    // Create panning video
-    const panningVideo = await createPanningVideo(stillsDir, frameFiles, finalTimestamps, videoInfo);
     
     // Reattach audio
-    const audioFile = await reattachAudio(inputVideo, panningVideo);
-    
-    // Cleanup
-    await cleanup([TEMP_DIR]);
-    
-    logWithTimestamp("Processing complete.");
-    logWithTimestamp(`Output saved as: ${OUTPUT_FILE}`);
-    
-  } catch (error) {
-    console.error("Error during processing:", error);
-    // Cleanup on error
-    try {
-      await cleanup([TEMP_DIR]);
-    } catch (cleanupError) {
-      console.error("Error during cleanup:", cleanupError);
-    }
-    process.exit(1);
+    const loudness = options.loudness !== undefined ? { target: options.loudness, truePeak: options.truePeak } : null;
+    await reattachAudio(inputVideo, panningVideo, outputFile, tempDir, loudness, settings);
+  } finally {
+    await cleanup([tempDir]);
+  }
+
+  if (preset) {
+    await reportPlatformValidation(outputFile, preset);
   }
+
+  logWithTimestamp("Processing complete.");
+  logWithTimestamp(`Output saved as: ${outputFile}`);
+  return outputFile;
 }
 
-// Run the main function
-processVideo();
+const command = batchable({
+  name: "shortify",
+  summary: "Turn a landscape score video into a portrait short by panning across each page",
+  usage: "<input> [options]",
+  minPositionals: 1,
+  options: {
+    layout: { type: "string", short: "l", placeholder: "layout", description: "'pan' moves a portrait window across each page; 'stack' cuts each page into its systems and stacks them", default: "pan" },
+    pan: { type: "string", placeholder: "mode", description: "How the view moves: 'smart' (dwells on the music, skips margins), 'linear', or 'cursor' (follows the playback highlight)", default: "smart" },
+    "cursor-color": { type: "string", placeholder: "hex", description: "With --pan cursor, the highlight's color (default: any saturated color)" },
+    zoom: { type: "boolean", short: "z", description: "With smart panning, zoom in so each page's systems fill the frame height" },
+    template: { type: "string", placeholder: "file", description: "Frame template (JSON with fill, fillColor, title, composer, footer, progressBar, progressColor, textColor, font)" },
+    fill: { type: "string", placeholder: "mode", description: `Frame the score over a background: ${FILL_MODES.join(" or ")}` },
+    "fill-color": { type: "string", placeholder: "color", description: "Background color for --fill color (default: black)" },
+    title: { type: "string", placeholder: "text", description: "Header: piece title" },
+    composer: { type: "string", placeholder: "text", description: "Header: composer" },
+    footer: { type: "string", placeholder: "text", description: "Footer: handle or URL" },
+    "progress-bar": { type: "boolean", description: "Progress bar across the bottom" },
+    "progress-color": { type: "string", placeholder: "color", description: "Progress bar color (default: white)" },
+    "text-color": { type: "string", placeholder: "color", description: "Header and footer text color (default: white)" },
+    font: { type: "string", placeholder: "file", description: "Font file for the header and footer" },
+    captions: { type: "string", placeholder: "file", description: "Captions for the input video: an SRT, WebVTT or JSON marks file" },
+    "captions-mode": { type: "string", placeholder: "mode", description: "'burn' captions into the picture or mux them as a 'soft' subtitle track", default: "burn" },
+    preset: { type: "string", short: "p", placeholder: "platform", description: `Export for a platform's spec: ${Object.entries(PLATFORM_PRESETS).map(([name, preset]) => `${name} (${preset.label})`).join(", ")}` },
+    fit: { type: "string", placeholder: "mode", description: `With --preset, how a piece longer than the platform allows is shortened: 'trim' or 'speed' (up to ${MAX_SPEEDUP}x, then trim)`, default: "trim" },
+    loudness: { type: "string", placeholder: "LUFS", description: "Normalize the audio to this loudness: social (-14), web (-16), broadcast (-23) or a number" },
+    "true-peak": { type: "string", placeholder: "dBTP", description: "Maximum true peak when normalizing loudness", default: DEFAULT_TRUE_PEAK },
+    output: { type: "string", short: "o", placeholder: "file", description: `Output file (default: <input name>${OUTPUT_SUFFIX})` },
+    force: OUTPUT_OPTIONS.force
+  },
+  async run(values, positionals) {
+    await shortify(positionals[0], {
+      layout: toChoice(values.layout, 'layout', LAYOUTS),
+      pan: toChoice(values.pan, 'pan', PAN_MODES),
+      zoom: values.zoom,
+      cursorColor: values["cursor-color"] !== undefined ? parseHexColor(values["cursor-color"]) : undefined,
+      template: values.template,
+      frame: {
+        fill: toChoice(values.fill, 'fill', FILL_MODES),
+        fillColor: values["fill-color"],
+        title: values.title,
+        composer: values.composer,
+        footer: values.footer,
+        progressBar: values["progress-bar"],
+        progressColor: values["progress-color"],
+        textColor: values["text-color"],
+        font: values.font
+      },
+      captions: values.captions,
+      captionsMode: toChoice(values["captions-mode"], 'captions-mode', CAPTION_MODES),
+      preset: toChoice(values.preset, 'preset', Object.keys(PLATFORM_PRESETS)),
+      fit: toChoice(values.fit, 'fit', FIT_MODES),
+      loudness: parseLoudnessTarget(values.loudness, 'loudness'),
+      truePeak: toNumber(values["true-peak"], 'true-peak'),
+      output: values.output,
+      force: values.force
+    });
+  }
+});
+
+module.exports = { command, shortify };
+
+if (require.main === module) {
+  runCommand(command, process.argv.slice(2), "node shortify.js");
+}
@@ -1,29 +1,54 @@
-const { exec } = require("child_process");
-const util = require("util");
 const fs = require("fs");
+const { runCommand, toNumber } = require("./lib/cli");
+const { batchable } = require("./lib/batch");
+const { runFfmpeg, setDryRun } = require("./lib/ffmpeg");
+const { OUTPUT_OPTIONS, claimOutput, logOutput, outputName } = require("./lib/output");
 
-const execPromise = util.promisify(exec);
-const inputVideo = process.argv[2];
-const dimension = process.argv[3];
-const outputName = '_tiny.mp4';
+const OUTPUT_SUFFIX = '_tiny.mp4';
+
+// Main processing function; resolves to the output path
+async function shrinkScoreVideo(inputVideo, options = {}) {
+    const dimension = options.height;
 
-async function shrinkScoreVideo(inputVideo) {
     try {
         fs.accessSync(inputVideo, fs.constants.R_OK);
     } catch (error) {
-        console.error(`Cannot access input file: ${inputVideo}`);
-        process.exit(1);
+        throw new Error(`Cannot access input file: ${inputVideo}`);
     }
 
-    try {
-        const scaleFilter = dimension ? `-vf "mpdecimate,scale=-1:${dimension}" ` : '-vf mpdecimate ';
-        await execPromise(`ffmpeg -y -i "${inputVideo}" ${scaleFilter}./${outputName}`);
-        console.log("Completed frame deduplication");
-    } catch (error) {
-        console.error(`Failed during processing: ${error.message}`);
-        process.exit(1);
-    }
+    setDryRun(options.dryRun);
+    const outputFile = claimOutput(options.output || outputName(inputVideo, OUTPUT_SUFFIX), options.force);
+
+    const videoFilter = dimension ? `mpdecimate,scale=-1:${dimension}` : 'mpdecimate';
+    await runFfmpeg(['-y', '-i', inputVideo, '-vf', videoFilter, outputFile], "Frame deduplication");
+    logOutput("Output", outputFile);
+    return outputFile;
 }
 
-shrinkScoreVideo(inputVideo);
+const command = batchable({
+    name: "shrink",
+    summary: "Drop duplicate frames (and optionally downscale) to make a tiny score video",
+    usage: "<input> [options]",
+    minPositionals: 1,
+    options: {
+        height: { type: "string", short: "H", placeholder: "pixels", description: "Scale to this height, keeping the aspect ratio" },
+        output: { type: "string", short: "o", placeholder: "file", description: `Output file (default: <input name>${OUTPUT_SUFFIX})` },
+        ...OUTPUT_OPTIONS
+    },
+    async run(values, positionals) {
+        // A second positional is the legacy output height
+        const height = values.height !== undefined ? values.height : positionals[1];
+        await shrinkScoreVideo(positionals[0], {
+            height: toNumber(height, 'height', { min: 2, integer: true }),
+            output: values.output,
+            force: values.force,
+            dryRun: values["dry-run"]
+        });
+    }
+});
+
+module.exports = { command, shrinkScoreVideo };
 
+if (require.main === module) {
+    runCommand(command, process.argv.slice(2), "node shrinkscorevid.js");
+}
@@ -0,0 +1,175 @@
+const path = require("path");
+const { runCommand, toChoice, toSeconds, UsageError } = require("./lib/cli");
+const { batchable } = require("./lib/batch");
+const { logWithTimestamp, probe, runFfmpeg, runFfmpegWithProgress, runProcess, setDryRun } = require("./lib/ffmpeg");
+const { matchAudioToVideo } = require("./lib/audioSync");
+const { OUTPUT_OPTIONS, claimOutput, logOutput, makeTempDir, outputName, removeTempDir } = require("./lib/output");
+const { detectPages } = require("./lib/pages");
+
+const OUTPUT_SUFFIX = "_trimmed";
+
+// 'copy' cuts losslessly on keyframes, 'accurate' re-encodes to cut on the exact frame
+const TRIM_MODES = ["copy", "accurate"];
+
+// Helper to parse a --start/--end value: a time (seconds or [h:]mm:ss), a page ("p3")
+// or a percentage of the video ("25%")
+function parsePosition(value, name) {
+  if (value === undefined) return null;
+  const text = String(value).trim();
+  const page = /^p(?:age)?\s*(\d+)$/i.exec(text);
+  if (page) {
+    const number = parseInt(page[1], 10);
+    if (number < 1) throw new UsageError(`--${name} page numbers start at 1 (got "${value}")`);
+    return { page: number };
+  }
+  if (text.endsWith("%")) {
+    const percent = Number(text.slice(0, -1));
+    if (text === "%" || !Number.isFinite(percent) || percent < 0 || percent > 100) {
+      throw new UsageError(`--${name} must be a percentage between 0% and 100% (got "${value}")`);
+    }
+    return { percent };
+  }
+  return { time: toSeconds(text, name, { min: 0 }) };
+}
+
+// Helper to turn a parsed position into seconds. A page starts where it appears and ends
+// where the next one does, so "--start p2 --end p4" keeps pages 2 to 4.
+function resolvePosition(position, name, isEnd, { duration, pages }) {
+  if (position.time !== undefined) return position.time;
+  if (position.percent !== undefined) return duration * position.percent / 100;
+  if (position.page > pages.length) {
+    throw new UsageError(`--${name} page ${position.page} is past the last page (${pages.length} found)`);
+  }
+  const page = pages[position.page - 1];
+  return isEnd ? page.end : page.start;
+}
+
+// Function to list the keyframe times of the video stream
+async function getKeyframes(inputVideo) {
+  const { stdout } = await runProcess("ffprobe", [
+    "-v", "error", "-select_streams", "v:0", "-skip_frame", "nokey",
+    "-show_entries", "frame=pts_time", "-of", "csv=p=0",
+    inputVideo
+  ], { step: `Listing keyframes of ${inputVideo}` });
+  return stdout.split("\n").map(line => parseFloat(line)).filter(time => Number.isFinite(time));
+}
+
+// Helper choosing the codecs for a re-encode by the output's container: WebM only takes
+// VP8/VP9/AV1 video and Vorbis/Opus audio
+function encoderFor(file) {
+  if (path.extname(file).toLowerCase() === ".webm") {
+    return { videoArgs: ['-c:v', 'libvpx-vp9', '-crf', 32, '-b:v', 0], audioCodec: 'libopus' };
+  }
+  return { videoArgs: ['-c:v', 'libx264', '-pix_fmt', 'yuv420p'], audioCodec: 'aac' };
+}
+
+// Function to cut [start, end) from the video. Copy mode moves the start back to the
+// keyframe at or before it so no frames have to be re-encoded; resolves to the start used.
+async function cutVideo(inputVideo, start, end, mode, outputVideo) {
+  let cutStart = start;
+  if (mode === "copy") {
+    const keyframes = await getKeyframes(inputVideo);
+    cutStart = keyframes.filter(time => time <= start + 0.001).pop() || 0;
+    if (cutStart !== start) {
+      logWithTimestamp(`Moved start back to the keyframe at ${cutStart.toFixed(3)}s (${(start - cutStart).toFixed(3)}s earlier); use --mode accurate to cut on the exact frame`);
+    }
+  }
+
+  const length = end - cutStart;
+  if (mode === "copy") {
+    await runFfmpeg([
+      '-y', '-ss', cutStart.toFixed(3), '-i', inputVideo, '-t', length.toFixed(3),
+      '-map', '0:v:0', '-map', '0:a:0?', '-c', 'copy', '-avoid_negative_ts', 'make_zero',
+      outputVideo
+    ], `Copying ${length.toFixed(3)}s from ${cutStart.toFixed(3)}s`);
+  } else {
+    const { videoArgs, audioCodec } = encoderFor(outputVideo);
+    await runFfmpegWithProgress([
+      '-y', '-ss', cutStart.toFixed(3), '-i', inputVideo, '-t', length.toFixed(3),
+      '-map', '0:v:0', '-map', '0:a:0?', ...videoArgs, '-c:a', audioCodec,
+      outputVideo
+    ], length, `Re-encoding ${length.toFixed(3)}s from ${cutStart.toFixed(3)}s`);
+  }
+  return cutStart;
+}
+
+// Main processing function; resolves to the output path
+async function trim(inputVideo, options = {}) {
+  const mode = options.mode || "copy";
+  const startPosition = parsePosition(options.start, "start") || { time: 0 };
+  const endPosition = parsePosition(options.end, "end") || { percent: 100 };
+
+  setDryRun(options.dryRun);
+  const outputVideo = claimOutput(options.output || outputName(inputVideo, `${OUTPUT_SUFFIX}${path.extname(inputVideo) || ".mp4"}`), options.force);
+
+  logWithTimestamp(`Processing video: ${inputVideo}`);
+  const videoInfo = await probe(inputVideo);
+  const duration = videoInfo.videoDuration || videoInfo.duration;
+  if (!duration) {
+    throw new Error(`Could not determine the duration of ${inputVideo}`);
+  }
+
+  let pages = [];
+  if (startPosition.page || endPosition.page) {
+    pages = (await detectPages(inputVideo)).pages;
+    logWithTimestamp(`Found ${pages.length} pages`);
+  }
+  const start = resolvePosition(startPosition, "start", false, { duration, pages });
+  const end = Math.min(duration, resolvePosition(endPosition, "end", true, { duration, pages }));
+  if (start >= end) {
+    throw new UsageError(`Nothing to keep: start (${start.toFixed(3)}s) is not before end (${end.toFixed(3)}s) of the ${duration.toFixed(3)}s video`);
+  }
+  logWithTimestamp(`Keeping ${start.toFixed(3)}s to ${end.toFixed(3)}s (${mode} mode)`);
+
+  if (mode === "copy") {
+    // Every stream is copied, audio included, so nothing is re-encoded
+    await cutVideo(inputVideo, start, end, mode, outputVideo);
+  } else {
+    // The cut goes to a temporary file; the audio is then padded or trimmed to the video length
+    const tempDir = await makeTempDir("sfh-trim-");
+    try {
+      const cutFile = path.join(tempDir, `cut${path.extname(outputVideo)}`);
+      await cutVideo(inputVideo, start, end, mode, cutFile);
+      await matchAudioToVideo(cutFile, outputVideo, {
+        sampleRate: videoInfo.sampleRate || undefined,
+        channelLayout: videoInfo.channelLayout || undefined,
+        audioCodec: encoderFor(outputVideo).audioCodec
+      });
+    } finally {
+      await removeTempDir(tempDir);
+    }
+  }
+
+  logOutput("Trimmed video", outputVideo);
+  return outputVideo;
+}
+
+const command = batchable({
+  name: "trim",
+  summary: "Cut a section out of a score video by time, page or percentage",
+  usage: "<input> [options]",
+  minPositionals: 1,
+  options: {
+    start: { type: "string", short: "s", placeholder: "position", description: "Where to start: seconds, mm:ss, a page (p3) or a percentage (25%)", default: "0" },
+    end: { type: "string", short: "e", placeholder: "position", description: "Where to end, in the same forms; a page keeps that whole page (default: end of video)" },
+    mode: { type: "string", short: "m", placeholder: "mode", description: "'copy' cuts losslessly from the keyframe before --start; 'accurate' re-encodes to cut on the exact frame", default: "copy" },
+    output: { type: "string", short: "o", placeholder: "file", description: `Output file (default: <input name>${OUTPUT_SUFFIX} with the input's extension)` },
+    ...OUTPUT_OPTIONS
+  },
+  async run(values, positionals) {
+    await trim(positionals[0], {
+      start: values.start,
+      end: values.end,
+      mode: toChoice(values.mode, 'mode', TRIM_MODES),
+      output: values.output,
+      force: values.force,
+      dryRun: values["dry-run"]
+    });
+  }
+});
+
+module.exports = { command, trim };
+
+if (require.main === module) {
+  runCommand(command, process.argv.slice(2), "node trim.js");
+}